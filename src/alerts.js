@@ -0,0 +1,264 @@
+import Apify from 'apify';
+import { gotScraping } from 'got-scraping';
+
+const { log, sleep } = Apify.utils;
+
+/**
+ * @typedef {'price_drop' | 'price_increase' | 'out_of_stock' | 'back_in_stock' | 'new_product' | 'removed_product'} AlertType
+ */
+
+/**
+ * @typedef {{
+ *   type: AlertType,
+ *   minPercent?: number,
+ *   vendor?: string | string[],
+ *   productType?: string | string[],
+ *   tag?: string | string[],
+ * }} AlertRule
+ */
+
+/**
+ * @typedef {{
+ *   type: 'new' | 'changed' | 'removed',
+ *   fields?: string[],
+ *   old: Record<string, any> | null,
+ *   new: Record<string, any> | null,
+ * }} Change
+ */
+
+/**
+ * Checks each alert type against the change, returns the percent of the
+ * price change for the price rules, true for the others, or false
+ *
+ * @type {Record<AlertType, (change: Change, rule: AlertRule) => number | boolean>}
+ */
+const MATCHERS = {
+    price_drop: (change, { minPercent = 0 }) => {
+        const percent = priceChangePercent(change);
+
+        return percent !== null && percent < 0 && -percent >= minPercent ? percent : false;
+    },
+    price_increase: (change, { minPercent = 0 }) => {
+        const percent = priceChangePercent(change);
+
+        return percent !== null && percent > 0 && percent >= minPercent ? percent : false;
+    },
+    out_of_stock: (change) => change.fields?.includes('availability') === true && change.new?.availability === 'out of stock',
+    back_in_stock: (change) => change.fields?.includes('availability') === true && change.new?.availability === 'in stock',
+    new_product: (change) => change.type === 'new',
+    removed_product: (change) => change.type === 'removed',
+};
+
+/**
+ * @param {Change} change
+ * @returns {number | null}
+ */
+function priceChangePercent(change) {
+    if (change.type !== 'changed' || !change.fields?.includes('price')) {
+        return null;
+    }
+
+    const { price: oldPrice } = change.old ?? {};
+    const { price: newPrice } = change.new ?? {};
+
+    if (!oldPrice || typeof newPrice !== 'number') {
+        return null;
+    }
+
+    return +(((newPrice - oldPrice) / oldPrice) * 100).toFixed(2);
+}
+
+/**
+ * Case insensitive match of the rule filter against the item values,
+ * an empty filter matches everything
+ *
+ * @param {string | string[] | undefined} filter
+ * @param {any[]} values
+ */
+const matchesFilter = (filter, values) => {
+    const wanted = [filter].flat().filter((value) => value).map((value) => `${value}`.toLowerCase());
+
+    return !wanted.length || values.some((value) => wanted.includes(`${value}`.toLowerCase()));
+};
+
+/**
+ * @typedef {{
+ *   counts?: Record<string, number>,
+ *   alerts?: Array<Record<string, any>>,
+ *   productAlerts?: string[],
+ *   webhook?: { sent: number, failed: number },
+ * }} AlerterState
+ */
+
+/**
+ * Checks the changes of the items against the alert rules, and posts the
+ * matches in batches to the webhook. Only the first `maxAlerts` alerts are
+ * kept for the summary, the others are counted
+ *
+ * @example
+ *   const alerter = createAlerter({ rules, webhookUrl, current: await Apify.getValue('ALERTER') || {} });
+ *   await alerter.check(item, change);
+ *   await alerter.flush();
+ *   await Apify.setValue('ALERTS', alerter.summary());
+ *
+ * @param {{
+ *   rules: AlertRule[],
+ *   webhookUrl?: string,
+ *   batchSize?: number,
+ *   maxRetries?: number,
+ *   maxAlerts?: number,
+ *   current?: AlerterState,
+ * }} params
+ */
+export const createAlerter = ({ rules, webhookUrl, batchSize = 100, maxRetries = 3, maxAlerts = 1000, current = {} }) => {
+    const validRules = rules.filter((rule) => {
+        if (!(rule?.type in MATCHERS)) {
+            log.warning(`Unknown alert rule type "${rule?.type}", use one of ${Object.keys(MATCHERS).join(', ')}`);
+            return false;
+        }
+
+        return true;
+    });
+
+    /** @type {Array<Record<string, any>>} */
+    let batch = [];
+    /** @type {Record<string, number>} */
+    const counts = { ...current.counts };
+    /** @type {Array<Record<string, any>>} */
+    const alerts = [...(current.alerts ?? [])];
+    /** @type {Set<string>} */
+    const productAlerts = new Set(current.productAlerts);
+    const webhook = { sent: 0, failed: 0, ...current.webhook };
+
+    /**
+     * @param {Array<Record<string, any>>} payload
+     */
+    const post = async (payload) => {
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            try {
+                const response = await gotScraping({
+                    url: webhookUrl,
+                    method: 'POST',
+                    json: { alerts: payload },
+                    useHeaderGenerator: false,
+                    timeout: { request: 30000 },
+                    retry: { limit: 0 },
+                });
+
+                if (response.statusCode < 300) {
+                    webhook.sent++;
+                    return;
+                }
+
+                throw new Error(`Status code ${response.statusCode}`);
+            } catch (e) {
+                log.warning(`Failed posting ${payload.length} alerts to the webhook, attempt ${attempt} of ${maxRetries}`, { e: e.message });
+
+                if (attempt < maxRetries) {
+                    await sleep(1000 * 2 ** attempt);
+                }
+            }
+        }
+
+        webhook.failed++;
+    };
+
+    const flush = async () => {
+        if (!batch.length || !webhookUrl) {
+            batch = [];
+            return;
+        }
+
+        const payload = batch;
+        batch = [];
+
+        await post(payload);
+    };
+
+    return {
+        /**
+         * @param {Record<string, any>} item The output item
+         * @param {Change} change The change from the previous run
+         */
+        async check(item, change) {
+            const tags = item.additional?.tags ?? item.tags ?? [];
+
+            for (const [index, rule] of validRules.entries()) {
+                const matched = MATCHERS[rule.type](change, rule);
+
+                if (matched === false
+                    || !matchesFilter(rule.vendor, [item.brand])
+                    || !matchesFilter(rule.productType, [item.product_type])
+                    || !matchesFilter(rule.tag, tags)) {
+                    continue;
+                }
+
+                // the variants of the same product are only reported once
+                if (['new_product', 'removed_product'].includes(rule.type)) {
+                    const key = `${index}|${item.url}|${item.id}`;
+
+                    if (productAlerts.has(key)) {
+                        continue;
+                    }
+
+                    productAlerts.add(key);
+                }
+
+                const alert = {
+                    rule: rule.type,
+                    rule_index: index,
+                    url: item.url,
+                    id: item.id,
+                    sku: item.sku ?? null,
+                    title: item.title ?? null,
+                    brand: item.brand ?? null,
+                    product_type: item.product_type ?? null,
+                    old: change.old,
+                    new: change.new,
+                    change_percent: typeof matched === 'number' ? matched : null,
+                    detected_at: new Date(),
+                };
+
+                counts[rule.type] = (counts[rule.type] ?? 0) + 1;
+
+                if (alerts.length < maxAlerts) {
+                    alerts.push(alert);
+                }
+
+                batch.push(alert);
+
+                if (batch.length >= batchSize) {
+                    await flush();
+                }
+            }
+        },
+        /**
+         * Posts the remaining alerts
+         */
+        flush,
+        /**
+         * Counts of the alerts by rule and the webhook deliveries, with the first alerts
+         */
+        summary() {
+            return {
+                total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+                by_rule: { ...counts },
+                webhook: webhookUrl ? webhook : null,
+                alerts,
+            };
+        },
+        /**
+         * The alerts and the reported products, for persisting the state
+         *
+         * @returns {AlerterState}
+         */
+        current() {
+            return {
+                counts,
+                alerts,
+                productAlerts: [...productAlerts],
+                webhook,
+            };
+        },
+    };
+};
@@ -0,0 +1,500 @@
+import Apify from 'apify';
+import { normalizeHostname } from './fns.js';
+
+const { log } = Apify.utils;
+
+/**
+ * @typedef {'google_xml' | 'google_tsv' | 'csv' | 'shopify_csv'} FeedFormat
+ */
+
+/**
+ * Google Merchant Center columns, the same for XML and TSV
+ */
+const GOOGLE_FIELD_MAPPING = {
+    id: 'sku',
+    item_group_id: 'id',
+    title: 'title',
+    description: 'description',
+    link: 'url',
+    image_link: 'image_link',
+    additional_image_link: 'additional_image_links',
+    availability: 'availability',
+    price: 'google_price',
+    sale_price: 'google_sale_price',
+    brand: 'brand',
+    gtin: 'additional.barcode',
+    mpn: 'sku',
+    condition: 'condition',
+    product_type: 'product_type',
+    color: 'color',
+    size: 'size',
+    material: 'material',
+};
+
+/**
+ * Default mapping of the feed columns to the paths of the flattened item
+ *
+ * @type {Record<FeedFormat, Record<string, string>>}
+ */
+export const DEFAULT_FIELD_MAPPING = {
+    google_xml: GOOGLE_FIELD_MAPPING,
+    google_tsv: GOOGLE_FIELD_MAPPING,
+    csv: {
+        url: 'url',
+        id: 'id',
+        sku: 'sku',
+        title: 'title',
+        description: 'description',
+        brand: 'brand',
+        product_type: 'product_type',
+        availability: 'availability',
+        price: 'price',
+        compare_at_price: 'compare_at_price',
+        currency: 'currency',
+        color: 'color',
+        size: 'size',
+        material: 'material',
+        variant_title: 'additional.variant_title',
+        barcode: 'additional.barcode',
+        stock_count: 'additional.stock_count',
+        tags: 'tags',
+        images_urls: 'images_urls',
+        created_at: 'created_at',
+        updated_at: 'updated_at',
+        published_at: 'published_at',
+    },
+    shopify_csv: {
+        Handle: 'handle',
+        Title: 'title',
+        'Body (HTML)': 'body_html',
+        Vendor: 'brand',
+        Type: 'product_type',
+        Tags: 'tags',
+        Published: 'published',
+        'Option1 Name': 'option1_name',
+        'Option1 Value': 'option1_value',
+        'Option2 Name': 'option2_name',
+        'Option2 Value': 'option2_value',
+        'Option3 Name': 'option3_name',
+        'Option3 Value': 'option3_value',
+        'Variant SKU': 'sku',
+        'Variant Inventory Qty': 'additional.stock_count',
+        'Variant Price': 'price',
+        'Variant Compare At Price': 'compare_at_price',
+        'Variant Requires Shipping': 'additional.requires_shipping',
+        'Variant Barcode': 'additional.barcode',
+        'Image Src': 'image_link',
+        'Image Position': 'image_position',
+        'Variant Image': 'image_link',
+        Status: 'status',
+    },
+};
+
+/**
+ * Columns of the Shopify import that are only set on the first row of the product
+ */
+const SHOPIFY_PRODUCT_COLUMNS = ['Title', 'Body (HTML)', 'Vendor', 'Type', 'Tags', 'Published', 'Image Src', 'Image Position', 'Status'];
+
+/**
+ * Columns of the extra rows that add the other images to the product
+ */
+const SHOPIFY_IMAGE_COLUMNS = ['Handle', 'Image Src', 'Image Position'];
+
+/**
+ * Content type of each format file
+ *
+ * @type {Record<FeedFormat, string>}
+ */
+const FORMATS = {
+    google_xml: 'application/xml; charset=utf-8',
+    google_tsv: 'text/tab-separated-values; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    shopify_csv: 'text/csv; charset=utf-8',
+};
+
+/**
+ * @param {Record<string, any>} obj
+ * @param {string} path
+ */
+const getPath = (obj, path) => path.split('.').reduce((value, prop) => value?.[prop], obj);
+
+/**
+ * @param {any} value
+ */
+const toText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (Array.isArray(value)) {
+        return value.join(',');
+    }
+
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    return `${value}`;
+};
+
+/**
+ * @param {any} value
+ */
+const escapeCsv = (value) => {
+    const text = toText(value);
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {any} value
+ */
+const escapeTsv = (value) => toText(value).replace(/[\t\n\r]+/g, ' ');
+
+/**
+ * @param {any} value
+ */
+const escapeXml = (value) => toText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Split the product items into variant items, so every format
+ * works with one row per variant
+ *
+ * @param {Record<string, any>} item
+ * @returns {Array<Record<string, any>>}
+ */
+export const toVariantItems = (item) => {
+    if (!Array.isArray(item.variants)) {
+        return [item];
+    }
+
+    const { variants, additional, ...product } = item;
+
+    return variants.map((/** @type {Record<string, any>} */ variant) => ({
+        ...product,
+        ...variant,
+        additional: { ...additional, ...variant.additional },
+    }));
+};
+
+/**
+ * Option names and values from the variant attributes, like "Color: Red / Size: M"
+ *
+ * @param {string} attributes
+ */
+const parseVariantAttributes = (attributes) => {
+    if (!attributes || attributes === 'Default') {
+        return [['Title', 'Default Title']];
+    }
+
+    return attributes.split(' / ').map((pair) => {
+        const [name, ...value] = pair.split(': ');
+
+        return [name, value.join(': ')];
+    });
+};
+
+/**
+ * Adds the computed fields that the feeds need to the variant item
+ *
+ * @param {Record<string, any>} item
+ */
+export const flattenItem = (item) => {
+    const images = item.images_urls ?? [];
+    const price = item.on_sale ? item.compare_at_price : item.price;
+    const options = parseVariantAttributes(item.additional?.variant_attributes);
+
+    return {
+        ...item,
+        tags: (item.additional?.tags ?? []).join(', '),
+        handle: decodeURIComponent(`${item.url}`.match(/\/products\/([^/?#]+)/)?.[1] ?? ''),
+        image_link: images[0] ?? '',
+        image_position: images.length ? 1 : '',
+        additional_image_links: images.slice(1, 11),
+        google_price: price ? `${price.toFixed(2)} ${item.currency}` : '',
+        google_sale_price: item.on_sale ? `${item.price.toFixed(2)} ${item.currency}` : '',
+        condition: 'new',
+        published: item.published_at ? 'TRUE' : 'FALSE',
+        status: 'active',
+        ...Object.fromEntries(options.slice(0, 3).flatMap(([name, value], index) => [
+            [`option${index + 1}_name`, name],
+            [`option${index + 1}_value`, value],
+        ])),
+    };
+};
+
+/**
+ * The handles are only unique on the same store
+ *
+ * @param {Record<string, any>} row
+ */
+const productKey = (row) => `${normalizeHostname(row.url)}|${row.handle}`;
+
+/**
+ * Creates the writer that accumulates the rows of a format, and saves them
+ * to the key-value store split in files of `maxItems` rows
+ *
+ * @param {{
+ *   format: FeedFormat,
+ *   mapping: Record<string, string>,
+ *   maxItems: number,
+ *   keyPrefix?: string,
+ * }} params
+ */
+export const createFeedWriter = ({ format, mapping, maxItems, keyPrefix = 'FEED' }) => {
+    const columns = Object.keys(mapping);
+    /** @type {string[]} */
+    const keys = [];
+    /** @type {string[]} */
+    let rows = [];
+    let lastProduct = '';
+
+    /**
+     * @param {string[]} lines
+     */
+    const wrap = (lines) => {
+        switch (format) {
+            case 'google_xml':
+                return [
+                    '<?xml version="1.0" encoding="UTF-8"?>',
+                    '<rss xmlns:g="http://base.google.com/ns/1.0" version="2.0">',
+                    '<channel>',
+                    ...lines,
+                    '</channel>',
+                    '</rss>',
+                ].join('\n');
+            case 'google_tsv':
+                return [columns.join('\t'), ...lines].join('\n');
+            default:
+                return [columns.map(escapeCsv).join(','), ...lines].join('\r\n');
+        }
+    };
+
+    /**
+     * @param {Record<string, any>} row
+     */
+    const serialize = (row) => {
+        const values = columns.map((column) => getPath(row, mapping[column]));
+
+        switch (format) {
+            case 'google_xml':
+                return `<item>${columns.map((column, index) => {
+                    const tag = column.includes(':') ? column : `g:${column}`;
+                    const value = values[index];
+
+                    // multiple values are repeated tags
+                    return (Array.isArray(value) ? value : [value])
+                        .filter((v) => toText(v) !== '')
+                        .map((v) => `<${tag}>${escapeXml(v)}</${tag}>`)
+                        .join('');
+                }).join('')}</item>`;
+            case 'google_tsv':
+                return values.map(escapeTsv).join('\t');
+            case 'shopify_csv': {
+                if (row.is_image_row) {
+                    return columns.map((column, index) => (SHOPIFY_IMAGE_COLUMNS.includes(column) ? escapeCsv(values[index]) : '')).join(',');
+                }
+
+                // the product columns are only set on the first variant of the product
+                const isFirst = productKey(row) !== lastProduct;
+                lastProduct = productKey(row);
+
+                return columns.map((column, index) => {
+                    return !isFirst && SHOPIFY_PRODUCT_COLUMNS.includes(column)
+                        ? ''
+                        : escapeCsv(values[index]);
+                }).join(',');
+            }
+            default:
+                return values.map(escapeCsv).join(',');
+        }
+    };
+
+    /**
+     * The Shopify import needs the variants of the same product on consecutive rows,
+     * but the dataset items are interleaved, so they are grouped until `writeGroups`
+     *
+     * @type {Map<string, Array<Record<string, any>>>}
+     */
+    const groups = new Map();
+
+    const write = async () => {
+        if (!rows.length) {
+            return;
+        }
+
+        const key = `${keyPrefix}_${format.toUpperCase()}-${keys.length + 1}`;
+
+        await Apify.setValue(key, wrap(rows), { contentType: FORMATS[format] });
+
+        keys.push(key);
+        rows = [];
+    };
+
+    /**
+     * @param {Record<string, any>} row
+     */
+    const append = async (row) => {
+        // a product must not be split between the Shopify import files
+        if (rows.length >= maxItems && (format !== 'shopify_csv' || productKey(row) !== lastProduct)) {
+            await write();
+        }
+
+        rows.push(serialize(row));
+    };
+
+    return {
+        format,
+        keys,
+        /**
+         * @param {Record<string, any>} row
+         */
+        async add(row) {
+            if (format !== 'shopify_csv') {
+                await append(row);
+                return;
+            }
+
+            const key = productKey(row);
+
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+
+            groups.get(key)?.push(row);
+        },
+        /**
+         * Appends the grouped rows, once all the rows of their products were added,
+         * followed by a row for each of the other images of the product
+         */
+        async writeGroups() {
+            for (const group of groups.values()) {
+                for (const row of group) {
+                    await append(row);
+                }
+
+                const [first] = group;
+                const images = [...new Set(group.flatMap((row) => row.images_urls ?? []))]
+                    .filter((image) => image !== first.image_link);
+
+                for (const [index, image] of images.entries()) {
+                    await append({
+                        url: first.url,
+                        handle: first.handle,
+                        image_link: image,
+                        image_position: index + 2,
+                        is_image_row: true,
+                    });
+                }
+            }
+
+            groups.clear();
+        },
+        /**
+         * Writes the remaining rows
+         */
+        async flush() {
+            await this.writeGroups();
+            await write();
+        },
+    };
+};
+
+/**
+ * Read the dataset items and write them as the feed files on the key-value store.
+ * Returns the keys of the files for each format.
+ *
+ * @param {{
+ *   dataset: Apify.Dataset,
+ *   formats: FeedFormat[],
+ *   fieldMapping?: Partial<Record<FeedFormat, Record<string, string>>>,
+ *   maxItems?: number,
+ * }} params
+ */
+export const exportFeeds = async ({ dataset, formats, fieldMapping = {}, maxItems = 50000 }) => {
+    const writers = formats
+        .filter((format) => {
+            if (!(format in FORMATS)) {
+                log.warning(`Unknown feed format "${format}", use one of ${Object.keys(FORMATS).join(', ')}`);
+                return false;
+            }
+
+            return true;
+        })
+        .map((format) => createFeedWriter({
+            format,
+            mapping: {
+                ...DEFAULT_FIELD_MAPPING[format],
+                ...fieldMapping[format],
+            },
+            maxItems,
+        }));
+
+    if (!writers.length) {
+        return {};
+    }
+
+    /**
+     * @param {(row: Record<string, any>) => Promise<void>} onRow
+     * @param {string} [store] Only the items of the store
+     */
+    const forEachRow = async (onRow, store) => dataset.forEach(async (item) => {
+        // failed requests and removed products
+        if (!item.url || !item.id || item.change?.type === 'removed') {
+            return;
+        }
+
+        if (store && normalizeHostname(item.url) !== store) {
+            return;
+        }
+
+        for (const variant of toVariantItems(item)) {
+            await onRow(flattenItem(variant));
+        }
+    });
+
+    const shopifyWriters = writers.filter(({ format }) => format === 'shopify_csv');
+    /** @type {Set<string>} */
+    const stores = new Set();
+
+    await forEachRow(async (row) => {
+        stores.add(normalizeHostname(row.url));
+
+        for (const writer of writers) {
+            if (!shopifyWriters.includes(writer)) {
+                await writer.add(row);
+            }
+        }
+    });
+
+    // the Shopify import groups the rows by product, so only one store is kept in memory at a time
+    for (const store of shopifyWriters.length ? stores : []) {
+        await forEachRow(async (row) => {
+            for (const writer of shopifyWriters) {
+                await writer.add(row);
+            }
+        }, store);
+
+        for (const writer of shopifyWriters) {
+            await writer.writeGroups();
+        }
+    }
+
+    /** @type {Record<string, string[]>} */
+    const files = {};
+
+    for (const writer of writers) {
+        await writer.flush();
+
+        files[writer.format] = writer.keys;
+    }
+
+    log.info('Exported feeds', files);
+
+    return files;
+};
@@ -2,10 +2,12 @@ import Apify from 'apify';
 import { gotScraping } from 'got-scraping';
 import { load } from 'cheerio';
 import * as vm from 'vm';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
 
 export { stripHtml } from 'string-strip-html';
 
-const { log } = Apify.utils;
+const { log, sleep } = Apify.utils;
 
 /**
  * Remove the GUID from the string if present
@@ -53,13 +55,67 @@ export const safeIsoDate = (date) => {
 };
 
 /**
+ * Categorize the url by the kind of Shopify page it points to.
+ * Collection scoped product urls, like /collections/sale/products/shoe,
+ * are product urls.
  *
- * @param {*} url
+ * @param {string} url
+ * @returns {{
+ *   type: 'store' | 'product' | 'collection' | 'sitemap' | 'search',
+ *   url: string,
+ *   origin: string,
+ *   handle: string | null,
+ * }}
  */
 export const categorizeUrl = (url) => {
     if (!url) {
         throw new Error('Found empty url');
     }
+
+    const { origin, pathname } = new URL(url);
+
+    if (/\.xml$/i.test(pathname)) {
+        return { type: 'sitemap', url, origin, handle: null };
+    }
+
+    const product = pathname.match(/\/products\/([^/.]+)/);
+
+    if (product) {
+        return { type: 'product', url, origin, handle: decodeURIComponent(product[1]) };
+    }
+
+    const collection = pathname.match(/\/collections\/([^/]+)\/?$/);
+
+    if (collection) {
+        return { type: 'collection', url, origin, handle: decodeURIComponent(collection[1]) };
+    }
+
+    if (/\/search\/?$/.test(pathname)) {
+        return { type: 'search', url, origin, handle: null };
+    }
+
+    return { type: 'store', url, origin, handle: null };
+};
+
+/**
+ * Remove the locale prefix of the product url, like /en-ca/products/handle
+ *
+ * @param {string} url
+ */
+export const removeLocalePrefix = (url) => `${url}`.replace(/^(https?:\/\/[^/]+)\/[a-z]{2}(?:-[a-z]{2,4})?(\/products\/)/i, '$1$2');
+
+/**
+ * The canonical url of the product, without the locale prefix, the collection
+ * scope and the query string, so the same product is only scraped once
+ *
+ * @param {string} url
+ */
+export const canonicalProductUrl = (url) => {
+    const { type, handle, origin } = categorizeUrl(removeLocalePrefix(url));
+
+    return type === 'product' && handle
+        ? new URL(`/products/${handle}`, origin).toString()
+        : `${url}`.split('?', 2)[0];
 };
 
 /**
@@ -76,6 +132,27 @@ export const patchLog = (crawler) => {
     };
 };
 
+/**
+ * Releases the slot of the store once the navigation is over, also when it
+ * fails or times out, since the postNavigationHooks only run on a response
+ *
+ * @param {Apify.CheerioCrawler} crawler
+ * @param {ReturnType<typeof createDomainLimiter>} limiter
+ */
+export const patchNavigation = (crawler, limiter) => {
+    /* eslint-disable no-underscore-dangle */
+    const originalNavigation = crawler._handleNavigation.bind(crawler);
+
+    crawler._handleNavigation = async (/** @type {Record<string, any>} */ crawlingContext) => {
+        try {
+            await originalNavigation(crawlingContext);
+        } finally {
+            limiter.release(crawlingContext.request.url, `${crawlingContext.request.id}`);
+        }
+    };
+    /* eslint-enable no-underscore-dangle */
+};
+
 /**
  * Transform a input.startUrls, parse requestsFromUrl items as well,
  * into regular urls. Returns an async generator that should be iterated over.
@@ -101,218 +178,3140 @@ export const fromStartUrls = async function* (startUrls, name = 'INPUTURLS') {
 };
 
 /**
- * Uses a BasicCrawler to get links from sitemaps XMLs
- *
- * @example
- *   const proxyConfiguration = await Apify.createProxyConfiguration();
- *   const requestList = await requestListFromSitemaps({
+ * @typedef {{
+ *   maxItems?: number,
+ *   maxConcurrency?: number,
+ *   minDelayMillis?: number,
+ * }} DomainSettings
+ */
+
+/**
+ * Hostname without the www. prefix, so both point to the same settings
  *
- *      sitemapUrls: [
- *         'https://example.com/sitemap.xml',
- *      ]
- *   })
+ * @param {string} url
+ */
+export const normalizeHostname = (url) => {
+    const hostname = /^https?:\/\//.test(url) ? new URL(url).hostname : url;
+
+    return hostname.replace(/^www\./, '').toLowerCase();
+};
+
+/**
+ * Merge the per-domain settings from the domain map and the userData of
+ * each start url, the start url settings take precedence
  *
  * @param {{
- *  proxyConfiguration?: Apify.ProxyConfiguration,
- *  requestQueue: Apify.RequestQueue,
- *  sitemapUrls: string[],
- *  timeout?: number,
- *  limit?: number,
- *  maxConcurrency?: number
- *  filter: (url: string) => Promise<boolean>,
- *  map: (url: string) => Apify.RequestOptions,
+ *   startUrls: Array<{ url?: string, userData?: Record<string, any> }>,
+ *   domainSettings?: Record<string, DomainSettings>,
  * }} params
+ * @returns {Map<string, DomainSettings>}
  */
-export const requestListFromSitemaps = async ({
-    proxyConfiguration,
-    filter,
-    map,
-    limit = 0,
-    requestQueue,
-    timeout = 300,
-    sitemapUrls,
-    maxConcurrency = 1,
-}) => {
-    const urls = new Set();
+export const domainSettingsFromInput = ({ startUrls, domainSettings = {} }) => {
+    /** @type {Map<string, DomainSettings>} */
+    const settings = new Map();
 
-    /** @param {string} url */
-    const cleanup = (url) => `${url}`.replace(/[\n\r]/g, '').trim();
+    /**
+     * @param {string} domain
+     * @param {Record<string, any>} values
+     */
+    const add = (domain, { maxItems, maxConcurrency, minDelayMillis }) => {
+        const key = normalizeHostname(domain);
+
+        settings.set(key, {
+            ...settings.get(key),
+            ...Object.fromEntries(Object.entries({ maxItems, maxConcurrency, minDelayMillis })
+                .filter(([, value]) => +value > 0)
+                .map(([prop, value]) => [prop, +value])),
+        });
+    };
 
-    let count = 1;
+    for (const [domain, values] of Object.entries(domainSettings)) {
+        add(domain, values ?? {});
+    }
 
-    const sitemapCrawler = new Apify.BasicCrawler({
-        requestList: await Apify.openRequestList('SITEMAPS', sitemapUrls),
-        requestQueue,
-        useSessionPool: true,
-        maxConcurrency,
-        handleRequestTimeoutSecs: timeout,
-        sessionPoolOptions: {
-            persistStateKey: 'SITEMAPS_SESSION_POOL',
-            sessionOptions: {
-                maxErrorScore: 0.5,
-            },
-        },
-        maxRequestRetries: 5,
-        handleRequestFunction: async ({ request, session }) => {
-            const response = await gotScraping({
-                url: request.url,
-                proxyUrl: proxyConfiguration?.newUrl(session.id),
-                timeout: {
-                    response: 10000,
-                    request: 5000,
-                },
-                retry: { limit: 0 },
-            });
+    for (const { url, userData } of startUrls) {
+        if (url && userData) {
+            add(url, userData);
+        }
+    }
 
-            if (![200, 301, 302].includes(response.statusCode)) {
-                throw new Error(`Status code ${response.statusCode}`);
-            }
+    return settings;
+};
 
-            log.debug(`Parsing sitemap ${request.url}`);
+/**
+ * Enforces the per-domain settings: the max items, the max concurrent requests
+ * and the minimum delay between the start of each request. The requests that
+ * never release the slot, like a failed navigation, expire after `staleMillis`.
+ *
+ * A throttled domain waits for its `Retry-After` or an exponential backoff, and
+ * its concurrency is halved. Every `recoverAfter` successful requests it gets
+ * one more concurrent request, until it's back to the settings.
+ *
+ * @example
+ *   const limiter = createDomainLimiter({ settings });
+ *   if (limiter.allowItem(url)) { ... }
+ *   if (!await limiter.acquire(url, request.id)) {
+ *       // put the request back on the queue
+ *   }
+ *   // ...do the request
+ *   limiter.release(url, request.id);
+ *   limiter.throttle(url, 5000); // on 429
+ *   limiter.success(url); // otherwise
+ *
+ * @param {{
+ *   settings: Map<string, DomainSettings>,
+ *   maxWaitMillis?: number,
+ *   staleMillis?: number,
+ *   recoverAfter?: number,
+ *   maxBackoffMillis?: number,
+ * }} params
+ */
+export const createDomainLimiter = ({
+    settings,
+    maxWaitMillis = 10000,
+    staleMillis = 120000,
+    recoverAfter = 20,
+    maxBackoffMillis = 60000,
+}) => {
+    /** @type {Map<string, number>} */
+    const items = new Map();
+    /** @type {Map<string, Map<string, number>>} */
+    const inFlight = new Map();
+    /** @type {Map<string, number>} */
+    const lastStart = new Map();
+    /** @type {Map<string, { limit: number, until: number, strikes: number, successes: number }>} */
+    const throttles = new Map();
+
+    /** @param {string} domain */
+    const running = (domain) => {
+        if (!inFlight.has(domain)) {
+            inFlight.set(domain, new Map());
+        }
 
-            const $ = load(response.body, { decodeEntities: true });
+        const requests = /** @type {Map<string, number>} */(inFlight.get(domain));
 
-            const $locations = $('url loc');
+        for (const [key, startedAt] of requests) {
+            if (Date.now() - startedAt > staleMillis) {
+                requests.delete(key);
+            }
+        }
 
-            for (const el of $locations) {
-                const url = cleanup($(el).text());
+        return requests;
+    };
 
-                log.debug(`Found sitemap url`, { url });
+    return {
+        /**
+         * @param {string} url
+         * @returns {DomainSettings}
+         */
+        settings(url) {
+            return settings.get(normalizeHostname(url)) ?? {};
+        },
+        /**
+         * Counts the item towards the domain max items, returns false
+         * when the domain already reached it
+         *
+         * @param {string} url
+         */
+        allowItem(url) {
+            const domain = normalizeHostname(url);
+            const { maxItems = 0 } = this.settings(url);
+            const count = items.get(domain) ?? 0;
+
+            if (maxItems > 0 && count >= maxItems) {
+                return false;
+            }
 
-                if (await filter(url)) {
-                    const limited = limit > 0
-                        ? urls.size >= limit
-                        : false;
+            items.set(domain, count + 1);
 
-                    if (!limited) {
-                        urls.add(map(url));
-                    } else {
-                        break;
-                    }
+            return true;
+        },
+        /**
+         * Waits until the domain has a free slot and the minimum delay passed.
+         * Gives up after `maxWaitMillis` and returns false, so the request can be
+         * put back on the queue instead of holding the slot of the crawler.
+         *
+         * @param {string} url
+         * @param {string} key
+         * @returns {Promise<boolean>}
+         */
+        async acquire(url, key) {
+            const domain = normalizeHostname(url);
+            const { maxConcurrency = 0, minDelayMillis = 0 } = this.settings(url);
+            const started = Date.now();
+            const requests = running(domain);
+
+            // retries of the same request
+            requests.delete(key);
+
+            while (Date.now() - started < maxWaitMillis) {
+                const throttle = throttles.get(domain);
+                const limit = Math.min(maxConcurrency || Infinity, throttle?.limit ?? Infinity);
+                const isFree = running(domain).size < limit;
+                const isDelayed = Date.now() - (lastStart.get(domain) ?? 0) >= minDelayMillis
+                    && Date.now() >= (throttle?.until ?? 0);
+
+                if (isFree && isDelayed) {
+                    lastStart.set(domain, Date.now());
+                    running(domain).set(key, Date.now());
+
+                    return true;
                 }
+
+                await sleep(100);
             }
 
-            // recursive sitemap
-            for (const el of $('sitemap loc')) {
-                const url = cleanup($(el).text());
+            return false;
+        },
+        /**
+         * @param {string} url
+         * @param {string} key
+         */
+        release(url, key) {
+            running(normalizeHostname(url)).delete(key);
+        },
+        /**
+         * Backs off the domain after a 429, the requests that were already
+         * in flight during the backoff don't lower the concurrency again
+         *
+         * @param {string} url
+         * @param {number | null} [retryAfterMillis]
+         */
+        throttle(url, retryAfterMillis) {
+            const domain = normalizeHostname(url);
+            const current = throttles.get(domain);
+            const isBackingOff = !!current && Date.now() < current.until;
+            const strikes = (current?.strikes ?? 0) + (isBackingOff ? 0 : 1);
+            const limit = isBackingOff
+                ? /** @type {NonNullable<typeof current>} */(current).limit
+                : Math.max(1, Math.floor((current?.limit ?? Math.max(running(domain).size, 2)) / 2));
+            const wait = Math.min(maxBackoffMillis, retryAfterMillis ?? 1000 * 2 ** strikes);
+
+            throttles.set(domain, {
+                limit,
+                strikes,
+                successes: 0,
+                until: Math.max(current?.until ?? 0, Date.now() + wait),
+            });
 
-                if (await filter(url)) {
-                    log.debug(`Found subsitemap url`, { url });
+            if (!isBackingOff) {
+                log.info(`Throttled by ${domain}, waiting ${Math.round(wait / 1000)}s with ${limit} concurrent requests`);
+            }
+        },
+        /**
+         * Counts a successful request towards the recovery of a throttled domain
+         *
+         * @param {string} url
+         */
+        success(url) {
+            const domain = normalizeHostname(url);
+            const throttle = throttles.get(domain);
+
+            if (!throttle || ++throttle.successes < recoverAfter) {
+                return;
+            }
 
-                    await requestQueue.addRequest({
-                        url,
-                    });
-                    count++;
-                }
+            const { maxConcurrency = 0 } = this.settings(url);
+
+            throttle.successes = 0;
+            throttle.strikes = Math.max(0, throttle.strikes - 1);
+            throttle.limit++;
+
+            if (throttle.limit > (maxConcurrency || running(domain).size + recoverAfter)) {
+                log.debug(`Recovered from the throttling of ${domain}`);
+                throttles.delete(domain);
             }
         },
-    });
+    };
+};
+
+/**
+ * @typedef {'throttled' | 'blocked' | 'challenge' | 'password'} BlockType
+ */
+
+/**
+ * Tells apart the throttling, blocked requests, password protected stores and
+ * bot challenges. Shopify redirects locked stores to /password, and Cloudflare
+ * marks the challenges with the `cf-mitigated` header, or serves its "Just a
+ * moment..." page with a 403 or 503. Its scripts are also injected on the
+ * regular pages, so they aren't a sign of a challenge.
+ *
+ * @param {{
+ *   statusCode: number,
+ *   headers?: Record<string, any>,
+ *   url?: string,
+ *   body?: any,
+ * }} response
+ * @returns {BlockType | null}
+ */
+export const detectBlock = ({ statusCode, headers = {}, url, body }) => {
+    if (url && /^\/password\/?$/.test(new URL(url).pathname)) {
+        return 'password';
+    }
 
-    await sitemapCrawler.run();
+    const html = typeof body === 'string' || Buffer.isBuffer(body) ? `${body}`.slice(0, 20000) : '';
 
-    log.info(`Found ${urls.size} URLs from ${count} sitemap URLs`);
+    if (headers['cf-mitigated'] === 'challenge'
+        || ([403, 503].includes(statusCode) && /<title>\s*Just a moment\.\.\.\s*<\/title>/i.test(html))) {
+        return 'challenge';
+    }
+
+    if (statusCode === 429) {
+        return 'throttled';
+    }
+
+    if ([401, 403].includes(statusCode)) {
+        return 'blocked';
+    }
 
-    return Apify.openRequestList('STARTURLS', [...urls.values()]);
+    return null;
 };
 
 /**
- * @param {Record<string, any>[]} arr
+ * Milliseconds from the Retry-After header, either seconds or a date
+ *
+ * @param {string | undefined} value
  */
-export const mapIdsFromArray = (arr) => new Map([...arr].filter((s) => s).map((item) => ([removeGuid(item.id), item])));
+export const retryAfterMillis = (value) => {
+    if (!value) {
+        return null;
+    }
+
+    const millis = /^\d+$/.test(value.trim())
+        ? +value * 1000
+        : Date.parse(value) - Date.now();
+
+    return Number.isFinite(millis) ? Math.max(0, millis) : null;
+};
 
 /**
- * @param {any[]} arr
+ * Throttled requests are retried without counting towards the max retries
  */
-export const uniqueNonEmptyArray = (arr) => [...new Set([...arr])].filter((s) => s);
+const MAX_THROTTLED_RETRIES = 10;
 
 /**
- * @param {string} url
+ * Requests that wait for the slot of their store are put back on the queue
+ * without counting towards the max retries, up to this many times
  */
-export const removeUrlQueryString = (url) => `${url}`.split('?', 2)[0];
+const MAX_SLOT_WAITS = 30;
 
 /**
+ * Puts the request back on the queue when its store has no free slot, so the
+ * other stores can use the concurrency of the crawler meanwhile
  *
- * @param {Record<string, any>} variant
- * @param {Record<string, any>} product
- * @returns {{ name: string, props: Record<string, any> }}
+ * @param {Apify.Request} request
+ * @returns {never}
  */
-export const getVariantAttributes = (variant, product) => {
-    const { options } = product;
+export const throwWaitingForSlot = (request) => {
+    request.userData.slotWaits = (request.userData.slotWaits ?? 0) + 1;
 
-    if (/(Default|title)/i.test(`${options?.[0]?.name}`)) {
-        return { name: 'Default', props: {} };
+    if (request.userData.slotWaits <= MAX_SLOT_WAITS) {
+        request.retryCount--;
     }
 
-    const name = [];
-    const props = {};
+    throw new Error(`Waiting for a free slot on ${normalizeHostname(request.url)}`);
+};
 
-    for (let i = 0; i < options.length; i++) {
-        const prop = `option${i + 1}`;
-        if (prop in variant) {
-            props[toSnakeCase(options[i].name)] = variant[prop];
-            name.push(`${options[i].name}: ${variant[prop]}`);
+/**
+ * Throws when the response is a block. The proxy session is only retired on
+ * blocks and challenges, throttling waits on the domain instead, and the password
+ * pages aren't retried. The challenges are only retried when the session can rotate
+ * to another proxy.
+ *
+ * @param {{
+ *   block: BlockType | null,
+ *   request: Apify.Request,
+ *   session?: Apify.Session,
+ *   headers?: Record<string, any>,
+ *   statusCode?: number,
+ *   limiter?: ReturnType<typeof createDomainLimiter>,
+ *   canRotate?: boolean,
+ * }} params
+ */
+export const throwOnBlock = ({ block, request, session, headers = {}, statusCode, limiter, canRotate = false }) => {
+    switch (block) {
+        case 'throttled': {
+            limiter?.throttle(request.url, retryAfterMillis(headers['retry-after']));
+
+            request.userData.throttled = (request.userData.throttled ?? 0) + 1;
+
+            if (request.userData.throttled <= MAX_THROTTLED_RETRIES) {
+                request.retryCount--;
+            }
+
+            throw new Error(`Throttled with status code ${statusCode}`);
         }
+        case 'password':
+            request.noRetry = true;
+            throw new Error('Password protected store');
+        case 'challenge':
+            session?.retire();
+            request.noRetry = !canRotate;
+            throw new Error('Challenge page');
+        case 'blocked':
+            session?.retire();
+            throw new Error(`Request blocked with status code ${statusCode}`);
+        default:
+            limiter?.success(request.url);
     }
-
-    return { name: name.join(' / '), props };
 };
 
 /**
- * Checks for robots to be of Shopify and parse the sitemap location
+ * @typedef {{
+ *   sitemaps_done: number,
+ *   urls_found: number,
+ *   products_scraped: number,
+ *   variants_scraped: number,
+ *   failed: number,
+ * }} StoreProgress
+ */
+
+/** @type {StoreProgress} */
+const EMPTY_PROGRESS = { sitemaps_done: 0, urls_found: 0, products_scraped: 0, variants_scraped: 0, failed: 0 };
+
+/**
+ * Live counters of the run per store, saved to the `STATS` record on an interval
+ * and on every `save`. The previous counters are passed as `stats` when resuming.
+ *
+ * @example
+ *   const progress = createProgress({ stats: await Apify.getValue('STATS') });
+ *   progress.start();
+ *   progress.add(url, 'products_scraped');
+ *   await progress.stop();
  *
  * @param {{
- *   filteredSitemapUrls: Set<string>,
- *   startUrls: Apify.RequestOptions[],
- *   proxyConfiguration: Apify.ProxyConfiguration,
- *   checkForBanner: boolean
+ *   stats?: { discovery_done?: boolean, stores?: Record<string, StoreProgress> } | null,
+ *   intervalMillis?: number,
  * }} params
  */
-export const checkForRobots = async ({ checkForBanner = true, filteredSitemapUrls, startUrls, proxyConfiguration }) => {
-    for await (const { url } of fromStartUrls(startUrls)) {
-        const baseUrl = new URL(url);
-        baseUrl.pathname = '/robots.txt';
-        baseUrl.searchParams.forEach((key) => {
-            baseUrl.searchParams.delete(key);
-        });
+export const createProgress = ({ stats, intervalMillis = 30000 }) => {
+    /** @type {Map<string, StoreProgress>} */
+    const stores = new Map(Object.entries(stats?.stores ?? {}));
+    let discoveryDone = stats?.discovery_done ?? false;
+    /** @type {ReturnType<typeof setInterval> | undefined} */
+    let timer;
+
+    const snapshot = () => {
+        const totals = [...stores.values()].reduce((out, store) => /** @type {StoreProgress} */(Object.fromEntries(
+            Object.entries(out).map(([field, value]) => [field, value + (store[/** @type {keyof StoreProgress} */(field)] ?? 0)]),
+        )), EMPTY_PROGRESS);
+
+        return {
+            // kept for compatibility, the amount of product urls from the sitemaps
+            count: totals.urls_found,
+            discovery_done: discoveryDone,
+            ...totals,
+            stores: Object.fromEntries(stores),
+            updated_at: new Date(),
+        };
+    };
 
-        try {
-            const response = await gotScraping({
-                url: baseUrl.toString(),
-                timeout: {
-                    response: 20000,
-                    request: 17000,
-                },
-                proxyUrl: proxyConfiguration?.newUrl(`${Math.random()*10000}`.replace('.', '')),
-                retry: { limit: 0 },
-            });
+    const save = async () => {
+        await Apify.setValue('STATS', snapshot());
+    };
 
-            if (![200, 301, 302].includes(response.statusCode)) {
-                throw new Error(`Status code ${response.statusCode}`);
+    return {
+        /**
+         * @param {string} url
+         * @param {keyof StoreProgress} field
+         * @param {number} [amount]
+         */
+        add(url, field, amount = 1) {
+            const domain = normalizeHostname(url);
+
+            if (!stores.has(domain)) {
+                stores.set(domain, { ...EMPTY_PROGRESS });
             }
 
-            const { body } = response;
+            const store = /** @type {StoreProgress} */(stores.get(domain));
 
-            if (!body) {
-                throw new Error('Body is empty');
-            }
+            store[field] = (store[field] ?? 0) + amount;
+        },
+        discoveryDone() {
+            discoveryDone = true;
+        },
+        snapshot,
+        save,
+        start() {
+            timer = setInterval(() => {
+                save().catch((e) => log.debug('Failed saving the progress', { e: e.message }));
+            }, intervalMillis);
+        },
+        async stop() {
+            clearInterval(timer);
+            await save();
+        },
+    };
+};
 
-            if (checkForBanner && !body.includes('Shopify')) {
-                throw new Error('Not a Shopify URL');
-            }
+/**
+ * @typedef {'robots_not_found'
+ *   | 'not_shopify'
+ *   | 'disallowed'
+ *   | 'product_not_found'
+ *   | 'blocked'
+ *   | 'password_protected'
+ *   | 'challenge'
+ *   | 'missing_title'
+ *   | 'other'} FailureCause
+ */
 
-            if (!body.includes('Sitemap: ')) {
-                throw new Error('No sitemap URL');
-            }
+/**
+ * Classify the failure from the error message, the status code
+ * and the url the request ended on
+ *
+ * @param {{ message?: string, statusCode?: number, loadedUrl?: string }} params
+ * @returns {FailureCause}
+ */
+export const failureCause = ({ message = '', statusCode, loadedUrl }) => {
+    if ((loadedUrl && /^\/password\/?$/.test(new URL(loadedUrl).pathname)) || /password/i.test(message)) {
+        return 'password_protected';
+    }
 
-            const matches = body.match(/Sitemap: ([^$]+?)$/m);
+    if (/Challenge page/.test(message)) {
+        return 'challenge';
+    }
 
-            if (!matches?.[1]) {
-                throw new Error('Failing to find sitemap URL');
-            }
+    if ((statusCode && [403, 429].includes(statusCode)) || /blocked|throttled|status code (403|429)/i.test(message)) {
+        return 'blocked';
+    }
 
-            filteredSitemapUrls.add(matches[1]);
-        } catch (e) {
-            log.exception(e, `Error fetching robots on ${url}`, { e, url });
+    if (statusCode === 404) {
+        return 'product_not_found';
+    }
+
+    if (/Missing robots\.txt|No sitemaps on the robots\.txt/.test(message)) {
+        return 'robots_not_found';
+    }
+
+    if (/Not a Shopify store/.test(message)) {
+        return 'not_shopify';
+    }
+
+    if (/disallowed by the robots\.txt/.test(message)) {
+        return 'disallowed';
+    }
+
+    if (/Missing product prop or title/.test(message)) {
+        return 'missing_title';
+    }
+
+    return 'other';
+};
+
+/**
+ * Pushes the failures to their own dataset, so the product dataset only
+ * has products, and counts them per store and cause. The named dataset keeps
+ * the failures of every run, each row has the run it comes from.
+ *
+ * @example
+ *   const failures = await createFailureRecorder({ datasetName: 'failed', startedAt });
+ *   await failures.add({ url, label: 'JSON', error: e.message, statusCode: 404 });
+ *   failures.counts(); // { 'example.com': { product_not_found: 1 } }
+ *
+ * @param {{
+ *   datasetName: string,
+ *   counts?: Record<string, Partial<Record<FailureCause, number>>>,
+ *   runId?: string | null,
+ *   startedAt?: Date,
+ * }} params
+ */
+export const createFailureRecorder = async ({
+    datasetName,
+    counts = {},
+    runId = Apify.getEnv().actorRunId ?? null,
+    startedAt = new Date(),
+}) => {
+    const dataset = await Apify.openDataset(datasetName);
+    /** @type {Map<string, Partial<Record<FailureCause, number>>>} */
+    const stores = new Map(Object.entries(counts));
+
+    return {
+        /**
+         * @param {{
+         *   url: string,
+         *   label?: string,
+         *   error?: string,
+         *   statusCode?: number,
+         *   loadedUrl?: string,
+         *   retryCount?: number,
+         * }} failure
+         */
+        async add({ url, label, error, statusCode, loadedUrl, retryCount = 0 }) {
+            const store = normalizeHostname(url);
+            const cause = failureCause({ message: error, statusCode, loadedUrl });
+            const causes = stores.get(store) ?? {};
+
+            causes[cause] = (causes[cause] ?? 0) + 1;
+            stores.set(store, causes);
+
+            await dataset.pushData({
+                url,
+                store,
+                label: label ?? null,
+                cause,
+                status_code: statusCode ?? null,
+                error: error ?? null,
+                retry_count: retryCount,
+                failed_at: new Date(),
+                run_id: runId,
+                started_at: startedAt,
+            });
+
+            return cause;
+        },
+        /**
+         * Failures by cause per store
+         */
+        counts() {
+            return Object.fromEntries(stores);
+        },
+    };
+};
+
+/**
+ * End of the run report, with the products, variants and failures by cause per store
+ *
+ * @param {{
+ *   stats: ReturnType<ReturnType<typeof createProgress>['snapshot']>,
+ *   failures: Record<string, Partial<Record<FailureCause, number>>>,
+ *   startedAt: Date,
+ *   finishedAt?: Date,
+ * }} params
+ */
+export const runReport = ({ stats, failures, startedAt, finishedAt = new Date() }) => {
+    /**
+     * @param {Array<Partial<Record<FailureCause, number>>>} counts
+     */
+    const sumCauses = (counts) => counts.reduce((/** @type {Record<string, number>} */ out, causes) => {
+        for (const [cause, count] of Object.entries(causes)) {
+            out[cause] = (out[cause] ?? 0) + (count ?? 0);
+        }
+
+        return out;
+    }, {});
+
+    const stores = uniqueNonEmptyArray([...Object.keys(stats.stores), ...Object.keys(failures)]);
+
+    return {
+        started_at: startedAt,
+        finished_at: finishedAt,
+        duration_secs: Math.round((+finishedAt - +startedAt) / 1000),
+        products: stats.products_scraped,
+        variants: stats.variants_scraped,
+        failed: stats.failed,
+        failures: sumCauses(Object.values(failures)),
+        stores: Object.fromEntries(stores.map((store) => [store, {
+            products: stats.stores[store]?.products_scraped ?? 0,
+            variants: stats.stores[store]?.variants_scraped ?? 0,
+            failed: stats.stores[store]?.failed ?? 0,
+            failures: sumCauses([failures[store] ?? {}]),
+        }])),
+    };
+};
+
+/**
+ * Order the requests round-robin by domain, so every store gets a fair share
+ * of the crawler instead of the first big sitemap going first
+ *
+ * @param {Apify.RequestOptions[]} requests
+ */
+export const interleaveByDomain = (requests) => {
+    /** @type {Map<string, Apify.RequestOptions[]>} */
+    const byDomain = new Map();
+
+    for (const request of requests) {
+        const domain = normalizeHostname(request.url);
+
+        if (!byDomain.has(domain)) {
+            byDomain.set(domain, []);
+        }
+
+        byDomain.get(domain)?.push(request);
+    }
+
+    const queues = [...byDomain.values()];
+    const interleaved = [];
+
+    for (let i = 0; interleaved.length < requests.length; i++) {
+        for (const queue of queues) {
+            if (i < queue.length) {
+                interleaved.push(queue[i]);
+            }
+        }
+    }
+
+    return interleaved;
+};
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   method: string,
+ *   statusCode: number,
+ *   headers: Record<string, any>,
+ *   body: string,
+ * }} RecordedResponse
+ */
+
+/**
+ * Records the responses to a key-value store, or replays them from it
+ * without touching the network. The requests are keyed by the url,
+ * method and payload. The missing responses are replayed as 404.
+ *
+ * @param {{
+ *   recordTo?: string,
+ *   replayFrom?: string,
+ * }} params
+ */
+export const createHttpArchive = async ({ recordTo, replayFrom }) => {
+    if (recordTo && replayFrom) {
+        throw new Error('Responses can\'t be recorded and replayed at the same time');
+    }
+
+    const isReplay = !!replayFrom;
+    const store = await Apify.openKeyValueStore(replayFrom || recordTo);
+
+    /**
+     * @param {{ url: string, method?: string, body?: any }} request
+     */
+    const keyOf = ({ url, method = 'GET', body }) => `RESPONSE-${createHash('sha1')
+        .update(`${method.toUpperCase()} ${new URL(url).toString()}${body ? `\n${body}` : ''}`)
+        .digest('hex')}`;
+
+    /**
+     * Stream response, like the ones the crawler gets from the network
+     *
+     * @param {RecordedResponse} recorded
+     */
+    const toStream = ({ url, statusCode, headers, body }) => {
+        const buffer = Buffer.from(body);
+        const response = new Readable({
+            read() {
+                this.push(buffer);
+                this.push(null);
+            },
+        });
+
+        return Object.assign(response, {
+            url,
+            statusCode,
+            statusMessage: '',
+            headers,
+            rawHeaders: Object.entries(headers).flat(),
+            rawTrailers: [],
+            trailers: {},
+            httpVersion: '1.1',
+            complete: true,
+        });
+    };
+
+    const archive = {
+        isReplay,
+        /**
+         * @param {{ url: string, method?: string, body?: any }} request
+         * @param {{ url?: string, statusCode: number, headers: Record<string, any>, body: any }} response
+         */
+        async record(request, { url, statusCode, headers, body }) {
+            if (isReplay) {
+                return;
+            }
+
+            /** @type {RecordedResponse} */
+            const recorded = {
+                url: url ?? request.url,
+                method: (request.method ?? 'GET').toUpperCase(),
+                statusCode,
+                headers,
+                body: Buffer.isBuffer(body) ? body.toString('utf8') : `${body ?? ''}`,
+            };
+
+            await store.setValue(keyOf(request), recorded);
+        },
+        /**
+         * @param {{ url: string, method?: string, body?: any }} request
+         * @returns {Promise<RecordedResponse>}
+         */
+        async replay(request) {
+            /** @type {RecordedResponse | null} */
+            const recorded = await store.getValue(keyOf(request));
+
+            if (!recorded) {
+                log.warning(`No recorded response for ${request.url}`);
+            }
+
+            return recorded ?? {
+                url: request.url,
+                method: (request.method ?? 'GET').toUpperCase(),
+                statusCode: 404,
+                headers: { 'content-type': 'text/plain' },
+                body: '',
+            };
+        },
+        toStream,
+    };
+
+    return archive;
+};
+
+/**
+ * @type {Awaited<ReturnType<typeof createHttpArchive>> | null}
+ */
+let httpArchive = null;
+
+/**
+ * Record or replay all the requests through the archive, null to use the network
+ *
+ * @param {Awaited<ReturnType<typeof createHttpArchive>> | null} archive
+ */
+export const useHttpArchive = (archive) => {
+    httpArchive = archive;
+};
+
+/**
+ * All the requests outside the crawlers go through here, so they can be recorded or replayed.
+ * The replay returns the recorded response without calling got at all.
+ *
+ * @param {import('got-scraping').OptionsInit & { url: string }} options
+ * @returns {Promise<{ url: string, statusCode: number, headers: Record<string, any>, body: string }>}
+ */
+const httpRequest = async (options) => {
+    const request = { url: `${options.url}`, method: options.method, body: options.body };
+
+    if (httpArchive?.isReplay) {
+        return httpArchive.replay(request);
+    }
+
+    const response = await gotScraping(options);
+
+    await httpArchive?.record(request, response);
+
+    return response;
+};
+
+/**
+ * CheerioCrawler that gets the recorded responses instead of requesting them,
+ * set with `useHttpArchive`
+ */
+export class ReplayCheerioCrawler extends Apify.CheerioCrawler {
+    /**
+     * @param {{ request: Apify.Request }} params
+     */
+    async _requestFunction({ request }) {
+        if (!httpArchive?.isReplay) {
+            throw new Error('There are no responses to replay');
+        }
+
+        return httpArchive.toStream(await httpArchive.replay({
+            url: request.url,
+            method: request.method,
+            body: request.payload,
+        }));
+    }
+}
+
+/**
+ * @typedef {{
+ *   lastmod: string | null,
+ *   changefreq: string | null,
+ *   images: Array<{ url: string, title: string | null, caption: string | null }>,
+ * }} SitemapEntry
+ */
+
+/**
+ * Parse the extra data of the sitemap url entry, including the image extension
+ *
+ * @param {import('cheerio').Cheerio<any>} $url
+ * @returns {SitemapEntry}
+ */
+export const sitemapEntryData = ($url) => {
+    /** @param {import('cheerio').Cheerio<any>} $el */
+    const text = ($el) => $el.first().text().replace(/[\n\r]/g, '').trim() || null;
+    const lastmod = text($url.children('lastmod'));
+    const $images = $url.children('image\\:image');
+
+    return {
+        lastmod: lastmod && !Number.isNaN(Date.parse(lastmod)) ? new Date(lastmod).toISOString() : null,
+        changefreq: text($url.children('changefreq')),
+        images: $images.toArray().map((_, index) => ({
+            url: `${text($images.eq(index).children('image\\:loc')) ?? ''}`,
+            title: text($images.eq(index).children('image\\:title')),
+            caption: text($images.eq(index).children('image\\:caption')),
+        })).filter(({ url }) => url),
+    };
+};
+
+/**
+ * Uses a BasicCrawler to get links from sitemaps XMLs. The product urls
+ * modified before `modifiedSince` are skipped, and the newest are first.
+ * The product urls are deduplicated by their canonical url, keeping the
+ * others on the `alternateUrls` of the userData.
+ *
+ * The found urls are saved after each sitemap to the `DISCOVERED-{n}` records
+ * in chunks of `chunkSize`, and the handled sitemaps are kept by the request
+ * list and queue, so a migration resumes the discovery where it stopped.
+ *
+ * @example
+ *   const proxyConfiguration = await Apify.createProxyConfiguration();
+ *   const requestList = await requestListFromSitemaps({
+ *
+ *      sitemapUrls: [
+ *         'https://example.com/sitemap.xml',
+ *      ]
+ *   })
+ *
+ * @param {{
+ *  proxyConfiguration?: Apify.ProxyConfiguration,
+ *  requestQueue: Apify.RequestQueue,
+ *  sitemapUrls: string[],
+ *  timeout?: number,
+ *  limit?: number,
+ *  maxConcurrency?: number
+ *  limiter?: ReturnType<typeof createDomainLimiter>,
+ *  modifiedSince?: (url: string) => Date | null,
+ *  filter: (url: string) => Promise<boolean>,
+ *  map: (url: string, sitemap: SitemapEntry) => Apify.RequestOptions,
+ *  progress?: ReturnType<typeof createProgress>,
+ *  onFailed?: (request: Apify.Request, error: Error) => Promise<void>,
+ *  chunkSize?: number,
+ * }} params
+ */
+export const requestListFromSitemaps = async ({
+    proxyConfiguration,
+    filter,
+    map,
+    limiter,
+    modifiedSince,
+    progress,
+    onFailed,
+    limit = 0,
+    requestQueue,
+    timeout = 300,
+    sitemapUrls,
+    maxConcurrency = 1,
+    chunkSize = 5000,
+}) => {
+    /**
+     * Keyed by the canonical url, with the other urls of the same product.
+     * The position is the order of discovery, for the chunk it's saved on.
+     *
+     * @type {Map<string, { position: number, request: Apify.RequestOptions, lastmod: number, alternateUrls: Set<string> }>}
+     */
+    const urls = new Map();
+    /** @type {string[]} */
+    const positions = [];
+    /** @type {Set<number>} */
+    const dirtyChunks = new Set();
+
+    /** @type {{ chunks: number, sitemaps: number, done: boolean }} */
+    const discovery = await Apify.getValue('DISCOVERY') || { chunks: 0, sitemaps: 1, done: false };
+
+    for (let chunk = 0; chunk < discovery.chunks; chunk++) {
+        /** @type {Array<{ url: string, request: Apify.RequestOptions, lastmod: number, alternateUrls: string[] }>} */
+        const entries = await Apify.getValue(`DISCOVERED-${chunk}`) || [];
+
+        for (const { url, request, lastmod, alternateUrls } of entries) {
+            // the domain max items are counted again
+            limiter?.allowItem(url);
+            urls.set(url, { position: positions.length, request, lastmod, alternateUrls: new Set(alternateUrls) });
+            positions.push(url);
+        }
+    }
+
+    if (discovery.chunks) {
+        log.info(`Resuming the discovery with ${urls.size} URLs from ${discovery.sitemaps} sitemap URLs`);
+    }
+
+    /** @param {string} url */
+    const cleanup = (url) => `${url}`.replace(/[\n\r]/g, '').trim();
+
+    /** @param {number} position */
+    const markDirty = (position) => {
+        dirtyChunks.add(Math.floor(position / chunkSize));
+    };
+
+    const saveChunks = async () => {
+        const chunks = [...dirtyChunks];
+        dirtyChunks.clear();
+
+        for (const chunk of chunks) {
+            await Apify.setValue(`DISCOVERED-${chunk}`, positions.slice(chunk * chunkSize, (chunk + 1) * chunkSize).map((url) => {
+                const { request, lastmod, alternateUrls } = /** @type {NonNullable<ReturnType<typeof urls.get>>} */(urls.get(url));
+
+                return { url, request, lastmod, alternateUrls: [...alternateUrls] };
+            }));
+        }
+
+        await Apify.setValue('DISCOVERY', {
+            ...discovery,
+            chunks: Math.ceil(positions.length / chunkSize),
+        });
+    };
+
+    let count = discovery.sitemaps;
+
+    const sitemapCrawler = new Apify.BasicCrawler({
+        requestList: await Apify.openRequestList('SITEMAPS', sitemapUrls),
+        requestQueue,
+        useSessionPool: true,
+        maxConcurrency,
+        handleRequestTimeoutSecs: timeout,
+        sessionPoolOptions: {
+            persistStateKey: 'SITEMAPS_SESSION_POOL',
+        },
+        maxRequestRetries: 5,
+        handleRequestFunction: async ({ request, session }) => {
+            // the sitemaps are few, so they keep waiting for the slot of their store, within the timeout
+            const waitUntil = Date.now() + (timeout * 1000) / 2;
+
+            while (limiter && !await limiter.acquire(request.url, `${request.id}`)) {
+                if (Date.now() > waitUntil) {
+                    throw new Error(`Waiting for a free slot on ${normalizeHostname(request.url)}`);
+                }
+            }
+
+            const response = await httpRequest({
+                url: request.url,
+                proxyUrl: proxyConfiguration?.newUrl(session.id),
+                timeout: {
+                    response: 10000,
+                    request: 5000,
+                },
+                retry: { limit: 0 },
+            }).finally(() => limiter?.release(request.url, `${request.id}`));
+
+            throwOnBlock({
+                block: detectBlock(response),
+                request,
+                session,
+                headers: response.headers,
+                statusCode: response.statusCode,
+                limiter,
+                canRotate: !!proxyConfiguration,
+            });
+
+            if (![200, 301, 302].includes(response.statusCode)) {
+                throw new Error(`Status code ${response.statusCode}`);
+            }
+
+            log.debug(`Parsing sitemap ${request.url}`);
+
+            const $ = load(response.body, { decodeEntities: true });
+
+            for (const el of $('url')) {
+                const loc = cleanup($(el).children('loc').first().text());
+                const url = /\/products\//.test(loc) ? canonicalProductUrl(loc) : loc;
+                const entry = sitemapEntryData($(el));
+
+                log.debug(`Found sitemap url`, { url });
+
+                const since = modifiedSince?.(url);
+
+                if (since && entry.lastmod && new Date(entry.lastmod) < since) {
+                    log.debug(`Not modified since ${since.toISOString()}`, { url });
+                    continue;
+                }
+
+                const found = urls.get(url);
+
+                if (found) {
+                    if (loc !== url && !found.alternateUrls.has(loc)) {
+                        found.alternateUrls.add(loc);
+                        markDirty(found.position);
+                    }
+
+                    continue;
+                }
+
+                if (await filter(url)) {
+                    const limited = limit > 0
+                        ? urls.size >= limit
+                        : false;
+
+                    if (limited) {
+                        break;
+                    }
+
+                    if (!limiter || limiter.allowItem(url)) {
+                        urls.set(url, {
+                            position: positions.length,
+                            request: map(url, entry),
+                            lastmod: entry.lastmod ? Date.parse(entry.lastmod) : 0,
+                            alternateUrls: new Set(loc !== url ? [loc] : []),
+                        });
+                        markDirty(positions.push(url) - 1);
+                        progress?.add(url, 'urls_found');
+                    }
+                }
+            }
+
+            // recursive sitemap
+            for (const el of $('sitemap loc')) {
+                const url = cleanup($(el).text());
+
+                if (await filter(url)) {
+                    log.debug(`Found subsitemap url`, { url });
+
+                    const { wasAlreadyPresent } = await requestQueue.addRequest({
+                        url,
+                    });
+
+                    if (!wasAlreadyPresent) {
+                        count++;
+                    }
+                }
+            }
+
+            discovery.sitemaps = count;
+            progress?.add(request.url, 'sitemaps_done');
+
+            await saveChunks();
+        },
+        handleFailedRequestFunction: async ({ request, error }) => {
+            log.exception(error, 'Failed all retries', { url: request.url });
+
+            await onFailed?.(request, error);
+        },
+    });
+
+    if (!discovery.done) {
+        await sitemapCrawler.run();
+
+        discovery.done = true;
+        await saveChunks();
+    }
+
+    progress?.discoveryDone();
+
+    log.info(`Found ${urls.size} URLs from ${count} sitemap URLs`);
+
+    return Apify.openRequestList('STARTURLS', interleaveByDomain([...urls.values()]
+        .sort((a, b) => b.lastmod - a.lastmod)
+        .map(({ request, alternateUrls }) => ({
+            ...request,
+            userData: {
+                ...request.userData,
+                alternateUrls: [...alternateUrls],
+            },
+        }))));
+};
+
+/**
+ * Paginated /collections.json or /collections/{handle}/products.json url
+ *
+ * @param {string} origin
+ * @param {number} page
+ * @param {string} [handle]
+ */
+export const collectionsJsonUrl = (origin, page, handle) => {
+    const path = handle
+        ? `/collections/${encodeURIComponent(handle)}/products.json`
+        : '/collections.json';
+
+    return new URL(`${path}?limit=250&page=${page}`, origin).toString();
+};
+
+/**
+ * Paginated product search url
+ *
+ * @param {string} url The search url, like https://example.com/search?q=shirt
+ * @param {number} page
+ * @param {{ currency?: string, country?: string }} [market]
+ */
+export const searchUrl = (url, page, market = {}) => {
+    const search = new URL(url);
+
+    search.searchParams.set('type', 'product');
+    search.searchParams.set('page', `${page}`);
+
+    return withMarket(search.toString(), market);
+};
+
+/**
+ * Get the unique product urls from the links on a HTML page, like search results
+ *
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} baseUrl
+ */
+export const productUrlsFromHtml = ($, baseUrl) => {
+    /** @type {Set<string>} */
+    const urls = new Set();
+
+    for (const el of $('a[href*="/products/"]')) {
+        const href = $(el).attr('href');
+
+        if (!href) {
+            continue;
+        }
+
+        const { origin, handle } = categorizeUrl(new URL(href, baseUrl).toString());
+
+        if (handle) {
+            urls.add(new URL(`/products/${handle}`, origin).toString());
+        }
+    }
+
+    return [...urls];
+};
+
+/**
+ * Uses a BasicCrawler to walk the collections of the stores, and the products
+ * of each collection. Fills the collection membership of each product id.
+ * When the store is limited to some collection handles, only those
+ * are walked, and the product urls are added to `productUrls`. They are
+ * requested directly, since /collections.json doesn't list /collections/all
+ * nor the unpublished collections, and it's only read for their titles.
+ *
+ * It has its own request queue for the run, so it doesn't take the pending
+ * requests of the other crawlers when it's resumed.
+ *
+ * @param {{
+ *  proxyConfiguration?: Apify.ProxyConfiguration,
+ *  limiter?: ReturnType<typeof createDomainLimiter>,
+ *  stores: Array<{ origin: string, handles: string[] }>,
+ *  memberships: Map<string, Array<{ handle: string, title: string | null }>>,
+ *  productUrls: Set<string>,
+ *  timeout?: number,
+ *  maxConcurrency?: number,
+ *  filter: (collection: { url: string, handle: string, title: string | null }) => Promise<boolean>,
+ * }} params
+ */
+export const collectionsFromStores = async ({
+    proxyConfiguration,
+    limiter,
+    stores,
+    memberships,
+    productUrls,
+    filter,
+    timeout = 300,
+    maxConcurrency = 1,
+}) => {
+    const requestQueue = await Apify.openRequestQueue(`collections-${Apify.getEnv().actorRunId ?? 'local'}`);
+    /** @type {Apify.RequestOptions[]} */
+    const sources = [];
+
+    for (const { origin, handles } of stores) {
+        sources.push({
+            url: collectionsJsonUrl(origin, 1),
+            userData: {
+                label: 'COLLECTIONS',
+                origin,
+                handles,
+                page: 1,
+            },
+        });
+
+        for (const handle of handles) {
+            if (await filter({ url: new URL(`/collections/${handle}`, origin).toString(), handle, title: null })) {
+                sources.push({
+                    url: collectionsJsonUrl(origin, 1, handle),
+                    userData: {
+                        label: 'COLLECTION_PRODUCTS',
+                        origin,
+                        handle,
+                        title: null,
+                        restricted: true,
+                        page: 1,
+                    },
+                });
+            }
+        }
+    }
+
+    /**
+     * Titles of the restricted collections from /collections.json, by origin and handle
+     *
+     * @type {Map<string, string>}
+     */
+    const titles = new Map();
+    /** @type {Array<{ origin: string, collection: { handle: string, title: string | null } }>} */
+    const untitled = [];
+
+    const collectionCrawler = new Apify.BasicCrawler({
+        requestList: await Apify.openRequestList('COLLECTIONS', sources),
+        requestQueue,
+        useSessionPool: true,
+        maxConcurrency,
+        handleRequestTimeoutSecs: timeout,
+        sessionPoolOptions: {
+            persistStateKey: 'COLLECTIONS_SESSION_POOL',
+        },
+        maxRequestRetries: 5,
+        handleRequestFunction: async ({ request, session }) => {
+            // same as the sitemaps, the throttled stores are waited for
+            const waitUntil = Date.now() + (timeout * 1000) / 2;
+
+            while (limiter && !await limiter.acquire(request.url, `${request.id}`)) {
+                if (Date.now() > waitUntil) {
+                    throw new Error(`Waiting for a free slot on ${normalizeHostname(request.url)}`);
+                }
+            }
+
+            const response = await httpRequest({
+                url: request.url,
+                proxyUrl: proxyConfiguration?.newUrl(session.id),
+                timeout: {
+                    response: 10000,
+                    request: 5000,
+                },
+                retry: { limit: 0 },
+            }).finally(() => limiter?.release(request.url, `${request.id}`));
+
+            throwOnBlock({
+                block: detectBlock(response),
+                request,
+                session,
+                headers: response.headers,
+                statusCode: response.statusCode,
+                limiter,
+                canRotate: !!proxyConfiguration,
+            });
+
+            if (response.statusCode !== 200) {
+                throw new Error(`Status code ${response.statusCode}`);
+            }
+
+            const json = safeJsonParse(response.body);
+            const { label, origin, page } = request.userData;
+
+            if (label === 'COLLECTIONS') {
+                /** @type {string[]} */
+                const { handles } = request.userData;
+
+                if (!Array.isArray(json?.collections)) {
+                    throw new Error('Missing collections prop');
+                }
+
+                log.debug(`Found ${json.collections.length} collections on page ${page} of ${origin}`);
+
+                for (const { handle, title } of json.collections) {
+                    // the restricted collections are already requested
+                    if (handles.length) {
+                        if (handles.includes(handle)) {
+                            titles.set(`${origin}|${handle}`, title);
+                        }
+
+                        continue;
+                    }
+
+                    const url = new URL(`/collections/${handle}`, origin).toString();
+
+                    if (await filter({ url, handle, title })) {
+                        await requestQueue.addRequest({
+                            url: collectionsJsonUrl(origin, 1, handle),
+                            userData: {
+                                label: 'COLLECTION_PRODUCTS',
+                                origin,
+                                handle,
+                                title,
+                                restricted: false,
+                                page: 1,
+                            },
+                        });
+                    }
+                }
+            } else {
+                const { handle, title, restricted } = request.userData;
+
+                if (!Array.isArray(json?.products)) {
+                    throw new Error('Missing products prop');
+                }
+
+                for (const product of json.products) {
+                    const id = `${removeGuid(product.id)}`;
+                    const collections = memberships.get(id) ?? [];
+
+                    if (!collections.some((collection) => collection.handle === handle)) {
+                        const collection = { handle, title };
+
+                        if (!title) {
+                            untitled.push({ origin, collection });
+                        }
+
+                        collections.push(collection);
+                    }
+
+                    memberships.set(id, collections);
+
+                    if (restricted) {
+                        productUrls.add(new URL(`/products/${product.handle}`, origin).toString());
+                    }
+                }
+            }
+
+            if (json.collections?.length || json.products?.length) {
+                await requestQueue.addRequest({
+                    url: collectionsJsonUrl(origin, page + 1, request.userData.handle),
+                    userData: {
+                        ...request.userData,
+                        page: page + 1,
+                    },
+                });
+            }
+        },
+    });
+
+    await collectionCrawler.run();
+    await requestQueue.drop();
+
+    for (const { origin, collection } of untitled) {
+        collection.title = titles.get(`${origin}|${collection.handle}`) ?? null;
+    }
+
+    log.info(`Found ${memberships.size} products in collections`);
+};
+
+/**
+ * @param {Record<string, any>[]} arr
+ */
+export const mapIdsFromArray = (arr) => new Map([...arr].filter((s) => s).map((item) => ([removeGuid(item.id), item])));
+
+/**
+ * @param {any[]} arr
+ */
+export const uniqueNonEmptyArray = (arr) => [...new Set([...arr])].filter((s) => s);
+
+/**
+ * @param {string} url
+ */
+export const removeUrlQueryString = (url) => `${url}`.split('?', 2)[0];
+
+/**
+ * Option names of the common languages for the promoted props
+ *
+ * @type {Record<string, string[]>}
+ */
+export const OPTION_SYNONYMS = {
+    color: [
+        'color', 'colour', 'colors', 'colours', 'farbe', 'couleur', 'colore', 'kleur', 'färg', 'farve', 'farge',
+        'väri', 'kolor', 'cor', 'barva', 'szín', 'renk', 'цвет', '色', 'カラー', '颜色', '색상',
+    ],
+    size: [
+        'size', 'sizes', 'shoe size', 'größe', 'grösse', 'groesse', 'taille', 'talla', 'taglia', 'tamanho', 'maat',
+        'storlek', 'størrelse', 'koko', 'rozmiar', 'velikost', 'méret', 'beden', 'размер', 'サイズ', '尺码', '사이즈',
+    ],
+    material: [
+        'material', 'materials', 'fabric', 'stoff', 'matière', 'matiere', 'materiale', 'materiaal', 'tejido',
+        'materiał', 'materiaali', 'материал', '素材', '材质', '소재',
+    ],
+};
+
+/**
+ * @param {string} name
+ */
+const optionKey = (name) => `${name}`.normalize('NFC').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+/**
+ * Maps the option names to the promoted props from the built-in synonyms,
+ * extended by the input ones, like `{ "color": ["Tint"] }`. The other names
+ * are snake cased.
+ *
+ * @param {Record<string, string[]>} [synonyms]
+ * @returns {(name: string) => string}
+ */
+export const createOptionNameMapper = (synonyms = {}) => {
+    /** @type {Map<string, string>} */
+    const names = new Map();
+
+    for (const list of [OPTION_SYNONYMS, synonyms]) {
+        for (const [prop, aliases] of Object.entries(list ?? {})) {
+            for (const alias of [prop, ...[aliases].flat()]) {
+                names.set(optionKey(alias), toSnakeCase(prop));
+            }
+        }
+    }
+
+    return (name) => names.get(optionKey(name)) ?? toSnakeCase(name);
+};
+
+/**
+ * The single variant of the products without options, that Shopify
+ * names "Default Title"
+ *
+ * @param {Record<string, any>} variant
+ * @param {Record<string, any>} product
+ */
+export const isDefaultVariant = (variant, product) => {
+    return product.variants?.length === 1
+        && (variant.option1 ?? variant.title) === 'Default Title'
+        && !variant.option2
+        && !variant.option3;
+};
+
+/**
+ * Letter sizes in the common spellings
+ *
+ * @type {Array<[RegExp, string]>}
+ */
+const LETTER_SIZES = [
+    [/^(xxs|2xs|xx-?small|extra extra small)$/, 'XXS'],
+    [/^(xs|x-?small|extra small)$/, 'XS'],
+    [/^(s|sm|small|klein|petit|pequeño|piccolo)$/, 'S'],
+    [/^(m|md|med|medium|mittel|moyen|mediano|medio)$/, 'M'],
+    [/^(l|lg|large|groß|gross|grand|grande)$/, 'L'],
+    [/^(xl|x-?large|extra large)$/, 'XL'],
+    [/^(xxl|2xl|xx-?large|extra extra large)$/, 'XXL'],
+    [/^(xxxl|3xl|xxx-?large)$/, '3XL'],
+    [/^(xxxxl|4xl)$/, '4XL'],
+    [/^(5xl)$/, '5XL'],
+    [/^(one size|onesize|os|o\/s|one size fits all|einheitsgröße|einheitsgrösse|taille unique|talla única|taglia unica)$/, 'One Size'],
+];
+
+/**
+ * Normalizes the size to the letter sizes, or the number with its system
+ * like "EU 42", "US 9.5" and "UK 8". French and German sizes are EU sizes.
+ *
+ * @param {string | null | undefined} size
+ * @returns {{ size: string | null, system: 'letter' | 'EU' | 'US' | 'UK' | null }}
+ */
+export const normalizeSize = (size) => {
+    const value = `${size ?? ''}`.trim();
+
+    if (!value) {
+        return { size: null, system: null };
+    }
+
+    const lower = value.toLowerCase().replace(/\s+/g, ' ');
+    const letter = LETTER_SIZES.find(([pattern]) => pattern.test(lower));
+
+    if (letter) {
+        return { size: letter[1], system: 'letter' };
+    }
+
+    const prefixed = lower.match(/^(eu|eur|us|usa|uk|fr|de)\s*(\d+(?:[.,]\d+)?)$/);
+    const suffixed = lower.match(/^(\d+(?:[.,]\d+)?)\s*(eu|eur|us|usa|uk|fr|de)$/);
+    const [system, number] = (prefixed && [prefixed[1], prefixed[2]]) || (suffixed && [suffixed[2], suffixed[1]]) || [];
+
+    if (system && number) {
+        /** @type {Record<string, 'EU' | 'US' | 'UK'>} */
+        const systems = { eu: 'EU', eur: 'EU', fr: 'EU', de: 'EU', us: 'US', usa: 'US', uk: 'UK' };
+
+        return { size: `${systems[system]} ${+number.replace(',', '.')}`, system: systems[system] };
+    }
+
+    return { size: value, system: null };
+};
+
+/**
+ *
+ * @param {Record<string, any>} variant
+ * @param {Record<string, any>} product
+ * @param {(name: string) => string} [optionName] Maps the option name to the prop
+ * @returns {{ name: string, props: Record<string, any> }}
+ */
+export const getVariantAttributes = (variant, product, optionName = toSnakeCase) => {
+    const { options } = product;
+
+    if (isDefaultVariant(variant, product) || !options?.length) {
+        return { name: 'Default', props: {} };
+    }
+
+    const name = [];
+    const props = {};
+
+    for (let i = 0; i < options.length; i++) {
+        const prop = `option${i + 1}`;
+        if (prop in variant) {
+            props[optionName(options[i].name)] = variant[prop];
+            name.push(`${options[i].name}: ${variant[prop]}`);
+        }
+    }
+
+    return { name: name.join(' / '), props };
+};
+
+/**
+ * Parse all the JSON-LD blocks of the page, flattening arrays and @graph
+ *
+ * @param {import('cheerio').CheerioAPI} $
+ * @returns {Array<Record<string, any>>}
+ */
+export const jsonLdFromHtml = ($) => {
+    /** @type {Array<Record<string, any>>} */
+    const blocks = [];
+
+    /** @param {any} value */
+    const add = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(add);
+        } else if (value && typeof value === 'object') {
+            if (Array.isArray(value['@graph'])) {
+                value['@graph'].forEach(add);
+            } else {
+                blocks.push(value);
+            }
+        }
+    };
+
+    for (const el of $('script[type="application/ld+json"]')) {
+        // some themes output control characters inside the JSON-LD strings
+        add(safeJsonParse($(el).html()?.replace(/[\n\r\t]+/g, ' ') ?? ''));
+    }
+
+    return blocks;
+};
+
+/**
+ * @param {Record<string, any>} block
+ * @param {string} type
+ */
+const isJsonLdType = (block, type) => [block['@type']].flat().includes(type);
+
+/**
+ * GTIN from the JSON-LD object, in any of the lengths
+ *
+ * @param {Record<string, any>} [obj]
+ * @returns {string | null}
+ */
+export const gtinFromJsonLd = (obj) => {
+    const gtin = coalesceProps([obj ?? {}], ['gtin', 'gtin13', 'gtin14', 'gtin12', 'gtin8']);
+
+    return gtin ? `${gtin}` : null;
+};
+
+/**
+ * Extract the SEO and structured data from the product HTML: JSON-LD
+ * Product, Offer and AggregateRating, the canonical url, meta title and
+ * description, breadcrumbs and OpenGraph images
+ *
+ * @param {import('cheerio').CheerioAPI} $
+ */
+export const extractStructuredData = ($) => {
+    const blocks = jsonLdFromHtml($);
+    const product = blocks.find((block) => isJsonLdType(block, 'Product'));
+    const breadcrumbList = blocks.find((block) => isJsonLdType(block, 'BreadcrumbList'));
+
+    /** @type {Array<Record<string, any>>} */
+    const offers = [product?.offers ?? []]
+        .flat()
+        .flatMap((offer) => (isJsonLdType(offer, 'AggregateOffer') ? [offer.offers ?? offer].flat() : [offer]));
+
+    const rating = product?.aggregateRating ?? blocks.find((block) => isJsonLdType(block, 'AggregateRating'));
+
+    const breadcrumbs = breadcrumbList
+        ? [breadcrumbList.itemListElement ?? []].flat()
+            .sort((a, b) => (+a.position || 0) - (+b.position || 0))
+            .map((element) => ({
+                name: element.name ?? element.item?.name ?? null,
+                url: element.item?.['@id'] ?? element.item ?? null,
+            }))
+        : [...$('nav.breadcrumb a, [aria-label="breadcrumbs"] a, .breadcrumbs a')].map((el) => ({
+            name: $(el).text().trim(),
+            url: $(el).attr('href') ?? null,
+        }));
+
+    return {
+        seo: {
+            canonical_url: $('link[rel="canonical"]').attr('href') ?? null,
+            title: $('title').first().text().trim() || null,
+            description: $('meta[name="description"]').attr('content')?.trim() || null,
+            og_images: uniqueNonEmptyArray([...$('meta[property="og:image"], meta[property="og:image:secure_url"]')]
+                .map((el) => $(el).attr('content'))),
+            breadcrumbs,
+        },
+        structured_data: {
+            name: product?.name ?? null,
+            brand: product?.brand?.name ?? product?.brand ?? null,
+            gtin: gtinFromJsonLd(product),
+            mpn: product?.mpn ?? null,
+            rating: rating
+                ? {
+                    value: +rating.ratingValue || null,
+                    count: +(rating.reviewCount ?? rating.ratingCount) || null,
+                    best: +rating.bestRating || null,
+                }
+                : null,
+            offers: offers.map((offer) => ({
+                sku: offer.sku ?? null,
+                gtin: gtinFromJsonLd(offer),
+                price: toPrice(offer.price),
+                currency: offer.priceCurrency ?? null,
+                availability: offer.availability ?? null,
+                url: offer.url ?? null,
+            })),
+        },
+    };
+};
+
+/**
+ * Find the JSON-LD offer of the variant, by sku or the variant id on the url.
+ * Products with only one offer use it for the only variant.
+ *
+ * @param {ReturnType<typeof extractStructuredData>['structured_data']['offers']} offers
+ * @param {Record<string, any>} variant
+ * @param {number} variantCount
+ */
+export const findVariantOffer = (offers, variant, variantCount) => {
+    const variantId = removeGuid(variant.id);
+
+    return offers.find((offer) => (variant.sku && offer.sku === variant.sku) || offer.url?.includes(`variant=${variantId}`))
+        ?? (offers.length === 1 && variantCount === 1 ? offers[0] : undefined);
+};
+
+/**
+ * Public url of the external video
+ *
+ * @param {Record<string, any>} media
+ */
+const externalVideoUrl = (media) => {
+    const host = `${coalesceProps([media], ['host'])}`.toLowerCase();
+    const id = coalesceProps([media], ['external_id', 'externalId']);
+
+    if (host === 'youtube' && id) {
+        return `https://www.youtube.com/watch?v=${id}`;
+    }
+
+    if (host === 'vimeo' && id) {
+        return `https://vimeo.com/${id}`;
+    }
+
+    return coalesceProps([media], ['originUrl', 'embedUrl', 'embed_url']) ?? null;
+};
+
+/**
+ * Normalize the media list from either the /products/{handle}.js
+ * or the GraphQL product shape
+ *
+ * @param {any} media
+ * @returns {Array<{
+ *   id: number,
+ *   type: 'image' | 'video' | 'external_video' | 'model',
+ *   url: string | null,
+ *   alt: string | null,
+ *   preview_image: string | null,
+ *   width: number | null,
+ *   height: number | null,
+ *   sources: Array<{ url: string, format: string | null, mime_type: string | null, width: number | null, height: number | null }>,
+ * }>}
+ */
+export const normalizeMedia = (media) => {
+    /** @type {Array<Record<string, any>>} */
+    const list = Array.isArray(media) ? media : (media?.nodes ?? media?.edges?.map(({ node }) => node) ?? []);
+
+    /** @type {Record<string, 'image' | 'video' | 'external_video' | 'model'>} */
+    const types = {
+        image: 'image',
+        video: 'video',
+        external_video: 'external_video',
+        model: 'model',
+        model_3d: 'model',
+    };
+
+    return list.map((item) => {
+        const type = types[`${coalesceProps([item], ['media_type', 'mediaContentType'])}`.toLowerCase()] ?? 'image';
+        const previewImage = coalesceProps([item], ['preview_image', 'previewImage']);
+        const sources = (item.sources ?? []).map((/** @type {Record<string, any>} */ source) => ({
+            url: source.url,
+            format: source.format ?? null,
+            mime_type: coalesceProps([source], ['mime_type', 'mimeType']) ?? null,
+            width: source.width ?? null,
+            height: source.height ?? null,
+        }));
+        // the biggest mp4 for videos, the glb for 3D models
+        const [source] = [...sources].sort((a, b) => {
+            const preferred = ['mp4', 'glb'];
+            return (+preferred.includes(b.format) - +preferred.includes(a.format)) || ((b.width ?? 0) - (a.width ?? 0));
+        });
+
+        /** @type {Record<string, () => string | null>} */
+        const urls = {
+            image: () => item.src ?? item.image?.url ?? previewImage?.src ?? previewImage?.url ?? null,
+            video: () => source?.url ?? null,
+            external_video: () => externalVideoUrl(item),
+            model: () => source?.url ?? null,
+        };
+
+        return {
+            id: removeGuid(item.id),
+            type,
+            url: urls[type](),
+            alt: item.alt ?? null,
+            preview_image: previewImage?.src ?? previewImage?.url ?? null,
+            width: item.width ?? previewImage?.width ?? null,
+            height: item.height ?? previewImage?.height ?? null,
+            sources,
+        };
+    });
+};
+
+/**
+ * Map the variant ids to their featured media image, from either
+ * the /products/{handle}.js or the GraphQL variant shape
+ *
+ * @param {Array<Record<string, any>>} variants
+ * @returns {Record<string, string>}
+ */
+export const variantMediaImages = (variants) => {
+    return Object.fromEntries((variants ?? []).map((variant) => {
+        const featured = coalesceProps([variant], ['featured_media', 'featuredMedia']);
+        const src = featured?.preview_image?.src
+            ?? featured?.previewImage?.url
+            ?? variant.featured_image?.src
+            ?? variant.image?.url;
+
+        return [`${removeGuid(variant.id)}`, src];
+    }).filter(([, src]) => src));
+};
+
+/**
+ * Fields of the variant items that are the same for the whole product
+ */
+export const PRODUCT_FIELDS = [
+    'url',
+    'title',
+    'id',
+    'description',
+    'body_html',
+    'price_min',
+    'price_max',
+    'compare_at_price_min',
+    'compare_at_price_max',
+    'currency',
+    'base_currency',
+    'presentment_currency',
+    'product_type',
+    'collections',
+    'brand',
+    'video_urls',
+    'created_at',
+    'updated_at',
+    'published_at',
+    'alternate_urls',
+    'sitemap_lastmod',
+    'sitemap_images',
+    'media',
+    'translations',
+    'seo',
+];
+
+/**
+ * Fields of the variant items additional prop that are the same for the whole product
+ */
+export const PRODUCT_ADDITIONAL_FIELDS = [
+    'scraped_at',
+    'tags',
+    'metafields',
+    'selling_plan_groups',
+];
+
+/**
+ * Group the variant items of the same product into one product item,
+ * with the variants nested
+ *
+ * @param {Array<Record<string, any>>} items The variant items of the product
+ * @param {Record<string, any>} product
+ */
+export const toProductItem = (items, product) => {
+    if (!items.length) {
+        return null;
+    }
+
+    /**
+     * @param {Record<string, any>} obj
+     * @param {(prop: string) => boolean} predicate
+     */
+    const pick = (obj, predicate) => Object.fromEntries(Object.entries(obj).filter(([prop]) => predicate(prop)));
+
+    const [first] = items;
+    const available = items.filter(({ availability }) => availability === 'in stock');
+    const stockCounts = items.map(({ additional }) => additional?.stock_count).filter((count) => typeof count === 'number');
+
+    return {
+        ...pick(first, (prop) => PRODUCT_FIELDS.includes(prop)),
+        availability: available.length ? 'in stock' : 'out of stock',
+        available_variants: available.length,
+        stock_count: stockCounts.length ? stockCounts.reduce((sum, count) => sum + count, 0) : null,
+        on_sale: items.some(({ on_sale }) => on_sale),
+        options: (product.options ?? []).map(({ name, values }) => ({ name, values: values ?? [] })),
+        images_urls: uniqueNonEmptyArray(items.flatMap(({ images_urls }) => images_urls ?? [])),
+        variants: items.map((item) => ({
+            ...pick(item, (prop) => !PRODUCT_FIELDS.includes(prop) && prop !== 'additional'),
+            additional: pick(item.additional ?? {}, (prop) => !PRODUCT_ADDITIONAL_FIELDS.includes(prop)),
+        })),
+        additional: pick(first.additional ?? {}, (prop) => PRODUCT_ADDITIONAL_FIELDS.includes(prop)),
+    };
+};
+
+/**
+ * Creates a random session id for one-off requests
+ */
+const randomSessionId = () => `${Math.random() * 10000}`.replace('.', '');
+
+/**
+ * Appends the market parameters to the url, so Shopify serves the
+ * presentment currency / country prices
+ *
+ * @param {string} url
+ * @param {{ currency?: string, country?: string }} market
+ */
+export const withMarket = (url, { currency, country }) => {
+    if (!currency && !country) {
+        return url;
+    }
+
+    const marketUrl = new URL(url);
+
+    if (currency) {
+        marketUrl.searchParams.set('currency', currency);
+    }
+
+    if (country) {
+        marketUrl.searchParams.set('country', country);
+    }
+
+    return marketUrl.toString();
+};
+
+/**
+ * GET a path from the store origin, returns null on any non-successful response.
+ * The responses are kept on `responses` when given, so the checks of the same
+ * store don't request the same url twice
+ *
+ * @param {{
+ *   origin: string,
+ *   path: string,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ *   market?: { currency?: string, country?: string },
+ *   responses?: Map<string, any>,
+ * }} params
+ */
+const fetchFromStore = async ({ origin, path, proxyConfiguration, market = {}, responses }) => {
+    const url = withMarket(new URL(path, origin).toString(), market);
+
+    if (responses?.has(url)) {
+        return responses.get(url);
+    }
+
+    let result = null;
+
+    try {
+        const response = await httpRequest({
+            url,
+            timeout: {
+                response: 20000,
+                request: 17000,
+            },
+            proxyUrl: proxyConfiguration?.newUrl(randomSessionId()),
+            retry: { limit: 0 },
+        });
+
+        if (response.statusCode === 200 && response.body) {
+            result = response;
+        }
+    } catch (e) {
+        log.debug(`Failed fetching ${path} on ${origin}`, { e: e.message });
+    }
+
+    responses?.set(url, result);
+
+    return result;
+};
+
+/**
+ * @param {string} body
+ */
+export const safeJsonParse = (body) => {
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Parse the currency information that is exposed on the storefront HTML,
+ * either from the Shopify.currency global or JSON-LD offers
+ *
+ * @param {string} html
+ * @returns {{ active: string | null, priceCurrency: string | null }}
+ */
+export const currencyFromHtml = (html) => {
+    const shopifyCurrency = safeJsonParse(`${html}`.match(/Shopify\.currency\s*=\s*(\{[^}]*\})/)?.[1] ?? '');
+    const priceCurrency = `${html}`.match(/"priceCurrency"\s*:\s*"([A-Z]{3})"/)?.[1];
+
+    return {
+        active: shopifyCurrency?.active ?? null,
+        priceCurrency: priceCurrency ?? null,
+    };
+};
+
+/**
+ * Detects the store base currency and the currency the prices are presented in.
+ * Tries /meta.json, /cart.js, then the homepage HTML as the last resort.
+ *
+ * @param {{
+ *   url: string,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ *   market?: { currency?: string, country?: string },
+ *   responses?: Map<string, any>,
+ * }} params
+ * @returns {Promise<{ meta: Record<string, any> | null, currency: { base: string | null, presentment: string | null } }>}
+ */
+export const detectStoreCurrency = async ({ url, proxyConfiguration, market = {}, responses }) => {
+    const { origin } = new URL(url);
+
+    const metaResponse = await fetchFromStore({ origin, path: '/meta.json', proxyConfiguration, responses });
+    const meta = metaResponse ? safeJsonParse(metaResponse.body) : null;
+
+    let base = meta?.currency ?? null;
+    let presentment = null;
+
+    const cartResponse = await fetchFromStore({ origin, path: '/cart.js', proxyConfiguration, market, responses });
+    const cart = cartResponse ? safeJsonParse(cartResponse.body) : null;
+
+    if (cart?.currency) {
+        presentment = cart.currency;
+    }
+
+    if (!base || !presentment) {
+        const htmlResponse = await fetchFromStore({ origin, path: '/', proxyConfiguration, market, responses });
+
+        if (htmlResponse) {
+            const { active, priceCurrency } = currencyFromHtml(htmlResponse.body);
+
+            presentment = presentment ?? active ?? priceCurrency;
+            base = base ?? priceCurrency ?? active;
+        }
+    }
+
+    if (market.currency && presentment && presentment !== market.currency) {
+        log.warning(`Store ${origin} doesn't present prices in ${market.currency}, using ${presentment}`);
+    }
+
+    return {
+        meta,
+        currency: {
+            base,
+            presentment: presentment ?? base,
+        },
+    };
+};
+
+/**
+ * Normalize the price from either a string, number or a MoneyV2 object
+ *
+ * @param {any} value
+ * @returns {number | null}
+ */
+export const toPrice = (value) => {
+    if (value && typeof value === 'object') {
+        return +value.amount || null;
+    }
+
+    return +value || null;
+};
+
+/**
+ * Get the price for the variant and the currency it is in. Prefers the
+ * presentment prices if the variant provide them for the requested currency
+ *
+ * @param {Record<string, any>} variant
+ * @param {{ base: string | null, presentment: string | null }} [currency]
+ * @param {string} [presentmentCurrency]
+ * @returns {{ price: number | null, compare_at_price: number | null, currency: string | null }}
+ */
+export const getVariantPrice = (variant, currency, presentmentCurrency) => {
+    const presentment = (variant.presentment_prices ?? [])
+        .find(({ price }) => price?.currency_code === presentmentCurrency);
+
+    if (presentment) {
+        return {
+            price: toPrice(presentment.price),
+            compare_at_price: toPrice(presentment.compare_at_price),
+            currency: presentment.price.currency_code,
+        };
+    }
+
+    return {
+        price: toPrice(variant.price),
+        compare_at_price: toPrice(coalesceProps([variant], ['compare_at_price', 'compareAtPrice'])),
+        currency: variant.price_currency ?? currency?.base ?? null,
+    };
+};
+
+/**
+ * Calculate the discount from the compare at price. The discount only
+ * exists when the compare at price is higher than the current price
+ *
+ * @param {number | null} price
+ * @param {number | null} compareAtPrice
+ */
+export const getDiscount = (price, compareAtPrice) => {
+    if (!price || !compareAtPrice || compareAtPrice <= price) {
+        return {
+            discount: null,
+            discount_percent: null,
+            on_sale: false,
+        };
+    }
+
+    return {
+        discount: Math.round((compareAtPrice - price) * 100) / 100,
+        discount_percent: Math.round(((compareAtPrice - price) / compareAtPrice) * 10000) / 100,
+        on_sale: true,
+    };
+};
+
+/**
+ * Min and max of the non-empty values
+ *
+ * @param {Array<number | null>} values
+ */
+export const getRange = (values) => {
+    const filtered = /** @type {number[]} */(values.filter((value) => value !== null && Number.isFinite(value)));
+
+    return {
+        min: filtered.length ? Math.min(...filtered) : null,
+        max: filtered.length ? Math.max(...filtered) : null,
+    };
+};
+
+/**
+ * Key-value store friendly key for the domain
+ *
+ * @param {string} prefix
+ * @param {string} domain
+ */
+export const domainKey = (prefix, domain) => `${prefix}-${domain}`.replace(/[^a-z0-9\-_.]/gi, '-').slice(0, 250);
+
+/**
+ * Fields of the output item that are compared between runs
+ *
+ * @param {Record<string, any>} item
+ */
+export const snapshotValues = (item) => ({
+    title: item.title ?? null,
+    price: item.price ?? item.price_min ?? null,
+    availability: item.availability ?? null,
+    stock_count: item.additional?.stock_count ?? item.stock_count ?? null,
+});
+
+/**
+ * Keeps the snapshot of the previous run per store in a named key-value store,
+ * and compares the scraped items against it. The items seen during this run
+ * are kept in `current`, so they can be persisted on migrations.
+ *
+ * @example
+ *   const tracker = await createChangeTracker({ stateStore });
+ *   const change = await tracker.diff(item); // null when nothing changed
+ *   const removed = await tracker.finish({ reportRemoved: true });
+ *
+ * @param {{
+ *   stateStore: Apify.KeyValueStore,
+ *   current?: Record<string, Record<string, Record<string, any>>>,
+ * }} params
+ */
+export const createChangeTracker = async ({ stateStore, current = {} }) => {
+    /** @type {Map<string, Promise<Record<string, Record<string, any>>>>} */
+    const previous = new Map();
+    /** @type {Map<string, Record<string, Record<string, any>>>} */
+    const seen = new Map(Object.entries(current));
+
+    /** @param {string} domain */
+    const getPrevious = (domain) => {
+        if (!previous.has(domain)) {
+            previous.set(domain, stateStore.getValue(domainKey('SNAPSHOT', domain)).then((value) => value || {}));
+        }
+
+        return /** @type {Promise<Record<string, Record<string, any>>>} */(previous.get(domain));
+    };
+
+    return {
+        /**
+         * Returns the change compared to the previous run, or null if it's unchanged
+         *
+         * @param {Record<string, any>} item
+         */
+        async diff(item) {
+            const domain = new URL(item.url).hostname;
+            const key = `${item.id}|${item.sku ?? ''}`;
+            const values = snapshotValues(item);
+            const old = (await getPrevious(domain))[key];
+
+            if (!seen.has(domain)) {
+                seen.set(domain, {});
+            }
+
+            // kept for filtering the removed products, they aren't compared
+            /** @type {Record<string, Record<string, any>>} */(seen.get(domain))[key] = {
+                url: item.url,
+                id: item.id,
+                sku: item.sku,
+                brand: item.brand ?? null,
+                product_type: item.product_type ?? null,
+                tags: item.additional?.tags ?? item.tags ?? [],
+                ...values,
+            };
+
+            if (!old) {
+                return { type: 'new', old: null, new: values };
+            }
+
+            const changed = Object.keys(values).filter((prop) => old[prop] !== values[prop]);
+
+            if (!changed.length) {
+                return null;
+            }
+
+            return {
+                type: 'changed',
+                fields: changed,
+                old: Object.fromEntries(changed.map((prop) => [prop, old[prop]])),
+                new: Object.fromEntries(changed.map((prop) => [prop, values[prop]])),
+            };
+        },
+        /**
+         * If there's a snapshot of the store from a previous run
+         *
+         * @param {string} url
+         */
+        async hasSnapshot(url) {
+            return Object.keys(await getPrevious(new URL(url).hostname)).length > 0;
+        },
+        /**
+         * The items seen during this run, for persisting the state
+         */
+        current() {
+            return Object.fromEntries(seen);
+        },
+        /**
+         * Updates the snapshots and returns the items that were removed since
+         * the previous run. Removals can only be known when the whole catalogue
+         * of the store was scraped, otherwise the old items are kept on the snapshot.
+         *
+         * @param {{ reportRemoved: (domain: string) => boolean }} params
+         */
+        async finish({ reportRemoved }) {
+            const removed = [];
+
+            for (const [domain, items] of seen) {
+                const old = await getPrevious(domain);
+                const isComplete = reportRemoved(domain);
+
+                if (isComplete) {
+                    for (const [key, { url, id, sku, brand, product_type, tags, ...values }] of Object.entries(old)) {
+                        if (!(key in items)) {
+                            removed.push({
+                                url,
+                                id,
+                                sku,
+                                brand: brand ?? null,
+                                product_type: product_type ?? null,
+                                tags: tags ?? [],
+                                ...values,
+                                change: { type: 'removed', old: values, new: null },
+                            });
+                        }
+                    }
+                }
+
+                await stateStore.setValue(domainKey('SNAPSHOT', domain), isComplete ? items : { ...old, ...items });
+            }
+
+            return removed;
+        },
+    };
+};
+
+/**
+ * If the whole catalogue of the store is scraped, so the products that weren't
+ * seen were removed. It needs a store start url that was discovered in full,
+ * the product, search and collection start urls only scrape a part of it.
+ *
+ * @param {{
+ *   origin: string,
+ *   outcomes: Map<string, Record<string, any>>,
+ *   isLimited?: boolean,
+ *   discoveries?: string[],
+ * }} params
+ */
+export const isCatalogueComplete = ({
+    origin,
+    outcomes,
+    isLimited = false,
+    discoveries = ['sitemap', 'products_json', 'storefront_api'],
+}) => {
+    const starts = [...outcomes.values()]
+        .filter(({ url }) => /^https?:\/\//i.test(url) && new URL(url).origin === origin);
+
+    return !isLimited
+        && starts.every(({ discovery }) => discovery !== 'collections')
+        && starts.some(({ type, status, discovery }) => type === 'store'
+            && status === 'ok'
+            && discoveries.includes(discovery));
+};
+
+/**
+ * Get the alternate locales of the page from the hreflang links
+ *
+ * @param {string} html
+ * @returns {Array<{ locale: string, url: string }>}
+ */
+export const localesFromHtml = (html) => {
+    const $ = load(html);
+
+    return [...$('link[rel="alternate"][hreflang]')].map((el) => ({
+        locale: `${$(el).attr('hreflang')}`,
+        url: `${$(el).attr('href')}`,
+    })).filter(({ locale }) => locale !== 'x-default');
+};
+
+/**
+ * Weight of each Shopify signal towards the confidence
+ *
+ * @type {Record<string, number>}
+ */
+const SHOPIFY_SIGNALS = {
+    header_shop_id: 0.4,
+    header_stage: 0.3,
+    header_powered_by: 0.3,
+    meta_json: 0.4,
+    cart_js: 0.3,
+    html_shop: 0.4,
+    html_cdn: 0.2,
+    html_theme: 0.2,
+    robots_banner: 0.1,
+};
+
+/**
+ * Minimum confidence to consider the store to be Shopify
+ */
+export const SHOPIFY_CONFIDENCE = 0.5;
+
+/**
+ * Parse the Shopify globals that the themes print on the HTML
+ *
+ * @param {string} html
+ * @returns {{ shop: string | null, theme: { name: string | null, id: number | null } | null }}
+ */
+export const shopifyGlobalsFromHtml = (html) => {
+    const shop = `${html}`.match(/Shopify\.shop\s*=\s*["']([^"']+)["']/)?.[1] ?? null;
+    const theme = safeJsonParse(`${html}`.match(/Shopify\.theme\s*=\s*(\{[^;]*?\})\s*;/)?.[1] ?? '');
+
+    return {
+        shop,
+        theme: theme ? { name: theme.name ?? null, id: theme.id ?? null } : null,
+    };
+};
+
+/**
+ * Fingerprints the store from the homepage headers and HTML, the /cart.js,
+ * the /meta.json and the robots.txt. Each signal adds to the confidence,
+ * so a single mention of Shopify isn't enough.
+ *
+ * @param {{
+ *   origin: string,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ *   market?: { currency?: string, country?: string },
+ *   responses?: Map<string, any>,
+ * }} params
+ */
+export const fingerprintStore = async ({ origin, proxyConfiguration, market = {}, responses }) => {
+    const homepage = await fetchFromStore({ origin, path: '/', proxyConfiguration, market, responses });
+    const meta = safeJsonParse((await fetchFromStore({ origin, path: '/meta.json', proxyConfiguration, responses }))?.body ?? '');
+    const cart = safeJsonParse((await fetchFromStore({ origin, path: '/cart.js', proxyConfiguration, market, responses }))?.body ?? '');
+    const robots = await fetchFromStore({ origin, path: '/robots.txt', proxyConfiguration, responses });
+
+    const headers = homepage?.headers ?? {};
+    const html = `${homepage?.body ?? ''}`;
+    const { shop, theme } = shopifyGlobalsFromHtml(html);
+
+    /** @type {Record<string, boolean>} */
+    const checks = {
+        header_shop_id: !!(headers['x-shopid'] || headers['x-sorting-hat-shopid']),
+        header_stage: !!headers['x-shopify-stage'],
+        header_powered_by: /shopify/i.test(`${headers['powered-by'] ?? ''}`),
+        meta_json: /\.myshopify\.com$/.test(`${meta?.myshopify_domain ?? ''}`),
+        cart_js: !!cart && 'token' in cart && Array.isArray(cart.items),
+        html_shop: /\.myshopify\.com$/.test(`${shop ?? ''}`),
+        html_cdn: /\/\/cdn\.shopify\.com\/|["'(]\/cdn\/shop\//.test(html),
+        html_theme: !!theme,
+        robots_banner: `${robots?.body ?? ''}`.includes('Shopify'),
+    };
+
+    const signals = Object.keys(checks).filter((signal) => checks[signal]);
+    const confidence = Math.min(1, +signals.reduce((sum, signal) => sum + SHOPIFY_SIGNALS[signal], 0).toFixed(2));
+
+    /** @type {'shopify' | 'possibly_shopify' | 'not_shopify' | 'unreachable'} */
+    let verdict = 'not_shopify';
+
+    if (!homepage && !meta && !cart && !robots) {
+        verdict = 'unreachable';
+    } else if (confidence >= SHOPIFY_CONFIDENCE) {
+        verdict = 'shopify';
+    } else if (confidence > 0) {
+        verdict = 'possibly_shopify';
+    }
+
+    return {
+        url: origin,
+        domain: meta?.domain ?? new URL(origin).hostname,
+        verdict,
+        is_shopify: verdict === 'shopify',
+        confidence,
+        signals,
+        myshopify_domain: meta?.myshopify_domain ?? shop ?? null,
+        shop_name: meta?.name ?? null,
+        theme,
+        checked_at: new Date(),
+    };
+};
+
+/**
+ * Only classifies the domains of the start urls as Shopify or not,
+ * without scraping the products
+ *
+ * @param {{
+ *   startUrls: any[],
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ *   output: (result: Awaited<ReturnType<typeof fingerprintStore>>) => Promise<void>,
+ *   maxConcurrency?: number,
+ *   timeout?: number,
+ * }} params
+ */
+export const classifyStores = async ({ startUrls, proxyConfiguration, output, maxConcurrency = 1, timeout = 120 }) => {
+    /** @type {Set<string>} */
+    const checked = new Set();
+
+    const classifyCrawler = new Apify.BasicCrawler({
+        // lead lists usually come as plain domains
+        requestList: await Apify.openRequestList('CLASSIFY', startUrls.map((source) => (source?.url
+            ? { ...source, url: /^https?:\/\//i.test(source.url) ? source.url : `https://${source.url.trim()}` }
+            : source))),
+        maxConcurrency,
+        handleRequestTimeoutSecs: timeout,
+        maxRequestRetries: 1,
+        handleRequestFunction: async ({ request }) => {
+            const { origin, host } = new URL(request.url);
+
+            if (checked.has(normalizeHostname(host))) {
+                return;
+            }
+
+            checked.add(normalizeHostname(host));
+
+            const result = await fingerprintStore({ origin, proxyConfiguration });
+
+            log.info(`${origin} is ${result.verdict}`, { confidence: result.confidence });
+
+            await output(result);
+        },
+        handleFailedRequestFunction: async ({ request, error }) => {
+            log.exception(error, 'Failed classifying', { url: request.url });
+        },
+    });
+
+    await classifyCrawler.run();
+};
+
+/**
+ * @typedef {{
+ *   locale: string,
+ *   origin: string,
+ *   prefix: string,
+ *   country: string | null,
+ *   currency: string | null,
+ * }} StoreLocale
+ */
+
+/**
+ * Find the locales of the store from the homepage hreflang links, limited to
+ * the wanted ones, either by the locale code or the url prefix. The currency
+ * of each is read from the /cart.js under the locale, since the markets
+ * present their own currency.
+ *
+ * @param {{
+ *   origin: string,
+ *   wanted: string[],
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ * }} params
+ * @returns {Promise<StoreLocale[]>}
+ */
+export const storeLocales = async ({ origin, wanted, proxyConfiguration }) => {
+    const homepage = await fetchFromStore({ origin, path: '/', proxyConfiguration });
+    const isAll = wanted.includes('*');
+    const codes = wanted.map((code) => `${code}`.toLowerCase().replace(/^\/+|\/+$/g, ''));
+    /** @type {Map<string, StoreLocale>} */
+    const locales = new Map();
+
+    for (const { locale, url } of homepage ? localesFromHtml(homepage.body) : []) {
+        // markets can be on their own domain too
+        const localeUrl = new URL(url, origin);
+        const prefix = localeUrl.pathname.replace(/\/+$/, '');
+
+        if (locales.has(locale) || !(isAll || codes.includes(locale.toLowerCase()) || codes.includes(prefix.slice(1).toLowerCase()))) {
+            continue;
+        }
+
+        const cart = await fetchFromStore({ origin: localeUrl.origin, path: `${prefix}/cart.js`, proxyConfiguration });
+
+        locales.set(locale, {
+            locale,
+            origin: localeUrl.origin,
+            prefix,
+            country: locale.split('-')[1]?.toUpperCase() ?? null,
+            currency: safeJsonParse(cart?.body ?? '')?.currency ?? null,
+        });
+    }
+
+    return [...locales.values()];
+};
+
+/**
+ * If the locale is the default one, without a prefix on the store's own domain,
+ * so it's the product itself. Markets on another domain need their own request.
+ *
+ * @param {StoreLocale} locale
+ * @param {string} storeOrigin
+ */
+export const isDefaultLocale = ({ origin, prefix }, storeOrigin) => {
+    return !prefix && normalizeHostname(origin) === normalizeHostname(storeOrigin);
+};
+
+/**
+ * Url of the product under the locale
+ *
+ * @param {StoreLocale} locale
+ * @param {string} handle
+ * @param {string} [suffix]
+ */
+export const localeProductUrl = ({ origin, prefix }, handle, suffix = '') => {
+    return new URL(`${prefix}/products/${handle}${suffix}`, origin).toString();
+};
+
+/**
+ * Builds the profile of the store from the /meta.json, the policies
+ * and the information gathered while checking the robots
+ *
+ * @param {{
+ *   info: Record<string, any>,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ * }} params
+ */
+export const getStoreProfile = async ({ info, proxyConfiguration }) => {
+    const { origin, meta, currency, sitemaps = [] } = info;
+
+    const policies = {
+        shipping: '/policies/shipping-policy',
+        refund: '/policies/refund-policy',
+        privacy: '/policies/privacy-policy',
+        terms: '/policies/terms-of-service',
+    };
+
+    /** @type {Record<string, string | null>} */
+    const policyUrls = {};
+
+    for (const [policy, path] of Object.entries(policies)) {
+        const response = await fetchFromStore({ origin, path, proxyConfiguration });
+
+        policyUrls[policy] = response ? new URL(path, origin).toString() : null;
+    }
+
+    const homepage = await fetchFromStore({ origin, path: '/', proxyConfiguration });
+
+    return {
+        domain: meta?.domain ?? new URL(origin).hostname,
+        url: origin,
+        name: meta?.name ?? null,
+        myshopify_domain: meta?.myshopify_domain ?? null,
+        currency: currency?.base ?? null,
+        presentment_currency: currency?.presentment ?? null,
+        country: meta?.country ?? null,
+        ships_to_countries: meta?.ships_to_countries ?? [],
+        locales: homepage ? localesFromHtml(homepage.body) : [],
+        product_count: meta?.published_products_count ?? null,
+        collection_count: meta?.published_collections_count ?? null,
+        sitemap_urls: sitemaps,
+        policies: policyUrls,
+        scraped_at: new Date(),
+    };
+};
+
+/**
+ * Checks if the store serves the paginated /products.json endpoint
+ *
+ * @param {{
+ *   origin: string,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ * }} params
+ */
+export const hasProductsJson = async ({ origin, proxyConfiguration }) => {
+    const response = await fetchFromStore({ origin, path: '/products.json?limit=1', proxyConfiguration });
+
+    return Array.isArray(safeJsonParse(response?.body ?? '')?.products);
+};
+
+/**
+ * Paginated /products.json url
+ *
+ * @param {string} origin
+ * @param {number} page
+ * @param {{ currency?: string, country?: string }} [market]
+ */
+export const productsJsonUrl = (origin, page, market = {}) => {
+    return withMarket(new URL(`/products.json?limit=250&page=${page}`, origin).toString(), market);
+};
+
+/**
+ * Version of the Storefront API that the queries are written for
+ */
+export const STOREFRONT_API_VERSION = '2024-04';
+
+/**
+ * Products per page of the Storefront API, the nested connections
+ * make the query cost grow quickly
+ */
+const STOREFRONT_PAGE_SIZE = 50;
+
+/**
+ * Find the public Storefront API access token that the themes expose on the HTML
+ *
+ * @param {string} html
+ * @returns {string | null}
+ */
+export const storefrontTokenFromHtml = (html) => {
+    const $ = load(html);
+
+    return $('meta[name="shopify-checkout-api-token"]').attr('content')
+        || `${html}`.match(/"accessToken"\s*:\s*"([a-f0-9]{32})"/)?.[1]
+        || null;
+};
+
+/**
+ * @param {{
+ *   origin: string,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ * }} params
+ */
+export const storefrontTokenFromStore = async ({ origin, proxyConfiguration }) => {
+    const response = await fetchFromStore({ origin, path: '/', proxyConfiguration });
+
+    return response ? storefrontTokenFromHtml(response.body) : null;
+};
+
+/**
+ * Query of the products page. The country context changes the currency
+ * of the prices, the same way the market parameters do for the REST endpoints
+ *
+ * @param {{ country?: string }} market
+ */
+const storefrontProductsQuery = ({ country }) => `
+query Products(
+    $first: Int!,
+    $after: String,
+    $identifiers: [HasMetafieldsIdentifier!]!${country ? ',\n    $country: CountryCode' : ''}
+)${country ? ' @inContext(country: $country)' : ''} {
+    products(first: $first, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+            id handle title descriptionHtml vendor productType tags createdAt updatedAt publishedAt
+            options { name values }
+            featuredImage { id url altText width height }
+            images(first: 50) { nodes { id url altText width height } }
+            media(first: 50) {
+                nodes {
+                    id alt mediaContentType
+                    previewImage { url width height }
+                    ... on MediaImage { image { url width height } }
+                    ... on Video { sources { url format mimeType width height } }
+                    ... on ExternalVideo { host embedUrl originUrl }
+                    ... on Model3d { sources { url format mimeType } }
+                }
+            }
+            metafields(identifiers: $identifiers) { namespace key value type }
+            sellingPlanGroups(first: 10) {
+                nodes {
+                    name appName
+                    options { name values }
+                    sellingPlans(first: 10) { nodes { id name description recurringDeliveries } }
+                }
+            }
+            variants(first: 100) {
+                nodes {
+                    id title sku barcode availableForSale quantityAvailable requiresShipping weight weightUnit
+                    price { amount currencyCode }
+                    compareAtPrice { amount currencyCode }
+                    selectedOptions { name value }
+                    image { id url }
+                    sellingPlanAllocations(first: 10) {
+                        nodes {
+                            sellingPlan { id name }
+                            priceAdjustments { price { amount currencyCode } compareAtPrice { amount currencyCode } }
+                        }
+                    }
+                }
+            }
+        }
+    }
+}`;
+
+/**
+ * Request of a products page of the Storefront API
+ *
+ * @param {{
+ *   origin: string,
+ *   token: string,
+ *   cursor?: string | null,
+ *   metafields?: string[],
+ *   market?: { currency?: string, country?: string },
+ * }} params
+ * @returns {Apify.RequestOptions}
+ */
+export const storefrontRequest = ({ origin, token, cursor = null, metafields = [], market = {} }) => {
+    return {
+        url: new URL(`/api/${STOREFRONT_API_VERSION}/graphql.json`, origin).toString(),
+        // every page is a POST to the same url
+        uniqueKey: `${origin}/graphql#${cursor ?? ''}`,
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'x-shopify-storefront-access-token': token,
+        },
+        payload: JSON.stringify({
+            query: storefrontProductsQuery(market),
+            variables: {
+                first: STOREFRONT_PAGE_SIZE,
+                after: cursor,
+                // "namespace.key"
+                identifiers: metafields.map((metafield) => {
+                    const [namespace, ...key] = `${metafield}`.split('.');
+
+                    return { namespace, key: key.join('.') };
+                }).filter(({ namespace, key }) => namespace && key),
+                ...(market.country ? { country: market.country.toUpperCase() } : {}),
+            },
+        }),
+        userData: {
+            label: 'STOREFRONT_API',
+            origin,
+            cursor,
+        },
+    };
+};
+
+/**
+ * @param {any} connection
+ * @returns {Array<Record<string, any>>}
+ */
+const connectionNodes = (connection) => connection?.nodes ?? connection?.edges?.map((/** @type {any} */ { node }) => node) ?? [];
+
+/**
+ * Map the Storefront API product node to the shape of the /products/{handle}.json
+ * product, keeping the GraphQL props that the output mapping already understands
+ *
+ * @param {Record<string, any>} node
+ */
+export const productFromStorefront = (node) => {
+    /** @type {Array<{ name: string, values: string[] }>} */
+    const options = node.options ?? [];
+    const variants = connectionNodes(node.variants);
+
+    /**
+     * @param {Record<string, any> | null} image
+     */
+    const toImage = (image) => (image ? {
+        id: removeGuid(image.id),
+        src: image.url,
+        alt: image.altText ?? null,
+        width: image.width ?? null,
+        height: image.height ?? null,
+        variant_ids: variants
+            .filter((variant) => variant.image?.id === image.id)
+            .map((variant) => removeGuid(variant.id)),
+    } : null);
+
+    return {
+        ...node,
+        options,
+        image: toImage(node.featuredImage),
+        images: connectionNodes(node.images).map(toImage),
+        media: connectionNodes(node.media),
+        metafields: (node.metafields ?? []).filter((/** @type {any} */ metafield) => metafield),
+        selling_plan_groups: connectionNodes(node.sellingPlanGroups).map((group) => ({
+            name: group.name,
+            app_name: group.appName ?? null,
+            options: group.options ?? [],
+            selling_plans: connectionNodes(group.sellingPlans),
+        })),
+        variants: variants.map((variant) => ({
+            ...variant,
+            ...Object.fromEntries(options.map(({ name }, index) => [
+                `option${index + 1}`,
+                variant.selectedOptions?.find((/** @type {any} */ selected) => selected.name === name)?.value ?? null,
+            ])),
+            image_id: variant.image?.id ? removeGuid(variant.image.id) : null,
+            price_currency: variant.price?.currencyCode ?? null,
+            selling_plans: connectionNodes(variant.sellingPlanAllocations).map((allocation) => ({
+                id: removeGuid(allocation.sellingPlan?.id),
+                name: allocation.sellingPlan?.name ?? null,
+                price: toPrice(allocation.priceAdjustments?.[0]?.price),
+                compare_at_price: toPrice(allocation.priceAdjustments?.[0]?.compareAtPrice),
+            })),
+        })),
+    };
+};
+
+/**
+ * @typedef {{
+ *   allow: string[],
+ *   disallow: string[],
+ *   crawl_delay: number | null,
+ * }} RobotsRules
+ */
+
+/**
+ * Parse the robots.txt, collecting every Sitemap line and the rules
+ * of the groups that apply to all user agents
+ *
+ * @param {string} body
+ * @returns {{ sitemaps: string[], rules: RobotsRules }}
+ */
+export const parseRobots = (body) => {
+    /** @type {string[]} */
+    const sitemaps = [];
+    /** @type {RobotsRules} */
+    const rules = { allow: [], disallow: [], crawl_delay: null };
+    /** @type {string[]} */
+    let agents = [];
+    let isGroupStart = true;
+
+    for (const line of `${body}`.split(/\r?\n/)) {
+        const [, field, value] = line.replace(/#.*$/, '').match(/^\s*([^:]+?)\s*:\s*(.*?)\s*$/) ?? [];
+
+        if (!field) {
+            continue;
+        }
+
+        switch (field.toLowerCase()) {
+            case 'sitemap':
+                if (value) {
+                    sitemaps.push(value);
+                }
+                break;
+            case 'user-agent':
+                // consecutive user agents share the same group
+                agents = isGroupStart ? [...agents, value] : [value];
+                isGroupStart = true;
+                break;
+            case 'allow':
+            case 'disallow':
+                isGroupStart = false;
+
+                if (agents.includes('*') && value) {
+                    rules[/** @type {'allow' | 'disallow'} */(field.toLowerCase())].push(value);
+                }
+                break;
+            case 'crawl-delay':
+                isGroupStart = false;
+
+                if (agents.includes('*') && +value > 0) {
+                    rules.crawl_delay = +value;
+                }
+                break;
+            default:
+        }
+    }
+
+    return { sitemaps: uniqueNonEmptyArray(sitemaps), rules };
+};
+
+/**
+ * Checks the url against the robots rules. The longest matching
+ * pattern wins, and Allow wins the ties.
+ *
+ * @param {RobotsRules | null | undefined} rules
+ * @param {string} url
+ */
+export const isAllowedByRobots = (rules, url) => {
+    if (!rules) {
+        return true;
+    }
+
+    const { pathname, search } = new URL(url);
+    const path = `${pathname}${search}`;
+
+    /**
+     * @param {string} pattern
+     */
+    const matches = (pattern) => new RegExp(`^${pattern
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\\\$$/, '$')}`).test(path);
+
+    /**
+     * @param {string[]} patterns
+     */
+    const longest = (patterns) => Math.max(-1, ...patterns.filter(matches).map((pattern) => pattern.length));
+
+    return longest(rules.allow) >= longest(rules.disallow);
+};
+
+/**
+ * Fetch and parse the robots.txt of the store
+ *
+ * @param {{
+ *   origin: string,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ * }} params
+ */
+export const robotsFromStore = async ({ origin, proxyConfiguration, responses }) => {
+    const response = await fetchFromStore({ origin, path: '/robots.txt', proxyConfiguration, responses });
+
+    return response
+        ? { body: `${response.body}`, ...parseRobots(response.body) }
+        : null;
+};
+
+/**
+ * Sitemaps that Shopify serves on every store, used when the robots.txt
+ * is missing or doesn't list any
+ */
+const FALLBACK_SITEMAPS = ['/sitemap.xml', '/sitemap_products_1.xml'];
+
+/**
+ * Fetch the robots.txt and parse all the sitemap locations, falling back
+ * to the default Shopify sitemaps
+ *
+ * @param {{
+ *   origin: string,
+ *   proxyConfiguration?: Apify.ProxyConfiguration,
+ *   responses?: Map<string, any>,
+ * }} params
+ * @returns {Promise<{ sitemaps: string[], rules: RobotsRules | null }>}
+ */
+export const sitemapsFromRobots = async ({ origin, proxyConfiguration, responses }) => {
+    const robots = await robotsFromStore({ origin, proxyConfiguration, responses });
+
+    if (robots?.sitemaps.length) {
+        return { sitemaps: robots.sitemaps, rules: robots.rules };
+    }
+
+    log.info(`${robots ? 'No sitemaps on the robots.txt' : 'Missing robots.txt'} of ${origin}, trying the default sitemaps`);
+
+    for (const path of FALLBACK_SITEMAPS) {
+        const response = await fetchFromStore({ origin, path, proxyConfiguration });
+
+        if (/<(urlset|sitemapindex)[\s>]/.test(`${response?.body ?? ''}`)) {
+            return {
+                sitemaps: [new URL(path, origin).toString()],
+                rules: robots?.rules ?? null,
+            };
+        }
+    }
+
+    throw new Error(`${robots ? 'No sitemaps on the robots.txt' : 'Missing robots.txt'}, and none of ${FALLBACK_SITEMAPS.join(', ')} exist`);
+};
+
+/**
+ * Checks the start urls by their kind. Product urls, search urls and sitemaps
+ * are used as-is. Stores limited to collections, either from the collection
+ * urls or the collection handles, skip the discovery and are kept in
+ * `restrictedCollections`. For the whole store, fingerprints it to be Shopify
+ * and parses the sitemap locations from the robots.txt, or uses the /products.json endpoint
+ * instead when the discovery mode allows it, or the Storefront API with the
+ * token from the input or the storefront HTML.
+ * Detects the store currency and caches it per domain, along with the robots
+ * rules when `respectRobotsTxt` is set.
+ * The outcome of each start url, and the reason it was skipped, is kept in `outcomes`.
+ *
+ * @param {{
+ *   filteredSitemapUrls: Set<string>,
+ *   productsJsonOrigins: Set<string>,
+ *   storefrontOrigins: Map<string, string>,
+ *   storefrontAccessToken?: string,
+ *   restrictedCollections: Map<string, string[]>,
+ *   productUrls: Set<string>,
+ *   searchUrls: Set<string>,
+ *   collectionHandles?: string[],
+ *   domains: Map<string, Record<string, any>>,
+ *   outcomes: Map<string, Record<string, any>>,
+ *   startUrls: Apify.RequestOptions[],
+ *   proxyConfiguration: Apify.ProxyConfiguration,
+ *   checkForBanner: boolean,
+ *   respectRobotsTxt?: boolean,
+ *   discoveryMode?: 'sitemap' | 'products_json' | 'storefront_api' | 'auto',
+ *   market?: { currency?: string, country?: string },
+ * }} params
+ */
+export const checkForRobots = async ({
+    checkForBanner = true,
+    respectRobotsTxt = false,
+    filteredSitemapUrls,
+    productsJsonOrigins,
+    storefrontOrigins,
+    storefrontAccessToken,
+    restrictedCollections,
+    productUrls,
+    searchUrls,
+    collectionHandles = [],
+    domains,
+    outcomes,
+    startUrls,
+    proxyConfiguration,
+    discoveryMode = 'sitemap',
+    market = {},
+}) => {
+    for await (const { url } of fromStartUrls(startUrls)) {
+        const previous = outcomes.get(url);
+
+        // already checked before a migration, the state of the store was restored
+        if (previous?.status === 'ok' || previous?.reason) {
+            log.debug(`Start url ${url} was already checked`);
+            continue;
+        }
+
+        /** @type {Record<string, any>} */
+        const outcome = {
+            url,
+            type: null,
+            discovery: null,
+            sitemaps: [],
+            status: 'skipped',
+            reason: null,
+        };
+
+        outcomes.set(url, outcome);
+
+        try {
+            const { origin, hostname } = new URL(url);
+            const { type, handle } = categorizeUrl(url);
+
+            /** @type {string[]} */
+            const sitemaps = [];
+            /** @type {RobotsRules | null} */
+            let rules = null;
+            // the fingerprint, robots.txt and currency checks share the responses of the store
+            /** @type {Map<string, any>} */
+            const responses = new Map();
+
+            outcome.type = type;
+            log.debug(`Start url ${url} is a ${type}`);
+
+            switch (type) {
+                case 'product':
+                    productUrls.add(new URL(`/products/${handle}`, origin).toString());
+                    outcome.discovery = 'product';
+                    break;
+                case 'search':
+                    searchUrls.add(url);
+                    outcome.discovery = 'search';
+                    break;
+                case 'sitemap':
+                    filteredSitemapUrls.add(url);
+                    sitemaps.push(url);
+                    outcome.discovery = 'sitemap';
+                    break;
+                default: {
+                    const handles = uniqueNonEmptyArray([
+                        ...(restrictedCollections.get(origin) ?? collectionHandles),
+                        handle,
+                    ]);
+
+                    if (handles.length) {
+                        log.info(`Limiting ${origin} to collections ${handles.join(', ')}`);
+
+                        restrictedCollections.set(origin, handles);
+                        outcome.discovery = 'collections';
+                    } else if (discoveryMode === 'storefront_api') {
+                        const token = storefrontAccessToken
+                            || await storefrontTokenFromStore({ origin, proxyConfiguration });
+
+                        if (!token) {
+                            throw new Error('No Storefront API access token found, provide it on the input');
+                        }
+
+                        log.info(`Using the Storefront API on ${origin}`);
+
+                        storefrontOrigins.set(origin, token);
+                        outcome.discovery = 'storefront_api';
+                    } else if (discoveryMode !== 'sitemap' && await hasProductsJson({ origin, proxyConfiguration })) {
+                        log.info(`Using /products.json on ${origin}`);
+
+                        productsJsonOrigins.add(origin);
+                        outcome.discovery = 'products_json';
+                    } else {
+                        if (discoveryMode === 'products_json') {
+                            throw new Error('The /products.json endpoint is not available');
+                        }
+
+                        if (checkForBanner) {
+                            const { verdict, confidence, signals } = await fingerprintStore({
+                                origin,
+                                proxyConfiguration,
+                                market,
+                                responses,
+                            });
+
+                            log.debug(`Store ${origin} is ${verdict}`, { confidence, signals });
+
+                            if (confidence < SHOPIFY_CONFIDENCE) {
+                                throw new Error(`Not a Shopify store, the fingerprint confidence is ${confidence} (${signals.join(', ') || 'no signals'})`);
+                            }
+                        }
+
+                        const found = await sitemapsFromRobots({
+                            origin,
+                            proxyConfiguration,
+                            responses,
+                        });
+
+                        for (const sitemap of found.sitemaps) {
+                            filteredSitemapUrls.add(sitemap);
+                            sitemaps.push(sitemap);
+                        }
+
+                        rules = found.rules;
+                        outcome.discovery = 'sitemap';
+                    }
+                }
+            }
+
+            if (domains.has(hostname)) {
+                const info = /** @type {Record<string, any>} */(domains.get(hostname));
+
+                info.sitemaps = uniqueNonEmptyArray([...(info.sitemaps ?? []), ...sitemaps]);
+                info.robots = info.robots ?? rules;
+            } else {
+                const { meta, currency } = await detectStoreCurrency({
+                    url: origin,
+                    proxyConfiguration,
+                    market,
+                    responses,
+                });
+
+                log.info(`Store ${hostname} currency`, currency);
+
+                const info = { origin, currency, meta, sitemaps, robots: rules };
+
+                domains.set(hostname, info);
+
+                // products might be listed on the primary domain
+                if (meta?.domain && !domains.has(meta.domain)) {
+                    domains.set(meta.domain, info);
+                }
+            }
+
+            if (respectRobotsTxt) {
+                const info = /** @type {Record<string, any>} */(domains.get(hostname));
+
+                // product, search and the other start urls don't read the robots.txt by themselves
+                if (!info.robots) {
+                    info.robots = (await robotsFromStore({ origin, proxyConfiguration, responses }))?.rules ?? null;
+                }
+
+                if (type === 'product' && !isAllowedByRobots(info.robots, url)) {
+                    productUrls.delete(new URL(`/products/${handle}`, origin).toString());
+
+                    throw new Error('The product is disallowed by the robots.txt');
+                }
+            }
+
+            outcome.sitemaps = sitemaps;
+            outcome.status = 'ok';
+        } catch (e) {
+            outcome.reason = e.message;
+
+            log.warning(`Skipping ${url}: ${e.message}`);
         }
     }
 };
@@ -0,0 +1,180 @@
+import Apify from 'apify';
+import { toVariantItems } from './feeds.js';
+import { domainKey, normalizeHostname } from './fns.js';
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {{
+ *   store: string,
+ *   product_id: string,
+ *   sku: string,
+ *   price: number | null,
+ *   compare_at_price: number | null,
+ *   availability: string | null,
+ *   stock_count: number | null,
+ *   scraped_at: string,
+ * }} PriceHistoryRow
+ */
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   product_id: string,
+ *   sku: string,
+ *   first_seen: string,
+ *   last_seen: string,
+ *   min_price: number | null,
+ *   max_price: number | null,
+ *   last_price: number | null,
+ *   last_availability: string | null,
+ *   days_in_stock: number,
+ * }} PriceHistorySummary
+ */
+
+/**
+ * @param {Record<string, any>} variant The variant item
+ * @returns {PriceHistoryRow}
+ */
+export const priceHistoryRow = (variant) => ({
+    store: normalizeHostname(variant.url),
+    product_id: `${variant.id}`,
+    sku: `${variant.sku ?? ''}`,
+    price: variant.price ?? null,
+    compare_at_price: variant.compare_at_price ?? null,
+    availability: variant.availability ?? null,
+    stock_count: variant.additional?.stock_count ?? null,
+    scraped_at: new Date(variant.additional?.scraped_at ?? Date.now()).toISOString(),
+});
+
+/**
+ * @param {number[]} values
+ * @param {(...values: number[]) => number} fn
+ */
+const pickPrice = (values, fn) => {
+    const prices = values.filter((value) => typeof value === 'number');
+
+    return prices.length ? fn(...prices) : null;
+};
+
+/**
+ * Adds the row to the summary of the variant. The time between two runs
+ * counts as in stock when the variant was in stock on the earlier one.
+ *
+ * @param {PriceHistorySummary | undefined} summary
+ * @param {PriceHistoryRow} row
+ * @param {string} url
+ * @returns {PriceHistorySummary}
+ */
+export const updatePriceSummary = (summary, row, url) => {
+    if (!summary) {
+        return {
+            url,
+            product_id: row.product_id,
+            sku: row.sku,
+            first_seen: row.scraped_at,
+            last_seen: row.scraped_at,
+            min_price: row.price,
+            max_price: row.price,
+            last_price: row.price,
+            last_availability: row.availability,
+            days_in_stock: 0,
+        };
+    }
+
+    const elapsed = summary.last_availability === 'in stock'
+        ? Math.max(0, Date.parse(row.scraped_at) - Date.parse(summary.last_seen)) / DAY_MILLIS
+        : 0;
+
+    return {
+        ...summary,
+        url,
+        last_seen: row.scraped_at,
+        min_price: pickPrice([summary.min_price, row.price], Math.min),
+        max_price: pickPrice([summary.max_price, row.price], Math.max),
+        last_price: row.price ?? summary.last_price,
+        last_availability: row.availability,
+        days_in_stock: Math.round((summary.days_in_stock + elapsed) * 100) / 100,
+    };
+};
+
+/**
+ * Appends a row per variant to the named history dataset on every run,
+ * and keeps the summary of each variant per store in the state key-value store.
+ * The summaries updated during this run are kept in `current`, so they
+ * can be persisted on migrations.
+ *
+ * @example
+ *   const history = await createPriceHistory({ datasetName, stateStore });
+ *   await history.add(item);
+ *   await history.finish();
+ *
+ * @param {{
+ *   datasetName: string,
+ *   stateStore: Apify.KeyValueStore,
+ *   current?: Record<string, Record<string, PriceHistorySummary>>,
+ * }} params
+ */
+export const createPriceHistory = async ({ datasetName, stateStore, current = {} }) => {
+    const dataset = await Apify.openDataset(datasetName);
+    /** @type {Map<string, Promise<Record<string, PriceHistorySummary>>>} */
+    const previous = new Map();
+    /** @type {Map<string, Record<string, PriceHistorySummary>>} */
+    const updated = new Map(Object.entries(current));
+
+    /** @param {string} store */
+    const getPrevious = (store) => {
+        if (!previous.has(store)) {
+            previous.set(store, stateStore.getValue(domainKey('PRICE_HISTORY', store)).then((value) => value || {}));
+        }
+
+        return /** @type {Promise<Record<string, PriceHistorySummary>>} */(previous.get(store));
+    };
+
+    return {
+        /**
+         * @param {Record<string, any>} item The output item, with or without nested variants
+         */
+        async add(item) {
+            const variants = toVariantItems(item);
+            const rows = variants.map(priceHistoryRow);
+
+            await dataset.pushData(rows);
+
+            for (const [index, row] of rows.entries()) {
+                const key = `${row.product_id}|${row.sku}`;
+
+                if (!updated.has(row.store)) {
+                    updated.set(row.store, {});
+                }
+
+                const summaries = /** @type {Record<string, PriceHistorySummary>} */(updated.get(row.store));
+
+                summaries[key] = updatePriceSummary(
+                    summaries[key] ?? (await getPrevious(row.store))[key],
+                    row,
+                    variants[index].url,
+                );
+            }
+        },
+        /**
+         * The summaries updated during this run, for persisting the state
+         */
+        current() {
+            return Object.fromEntries(updated);
+        },
+        /**
+         * Saves the summaries of each store, keeping the variants that weren't seen on this run
+         */
+        async finish() {
+            for (const [store, summaries] of updated) {
+                await stateStore.setValue(domainKey('PRICE_HISTORY', store), {
+                    ...await getPrevious(store),
+                    ...summaries,
+                });
+            }
+
+            return [...updated.keys()].map((store) => domainKey('PRICE_HISTORY', store));
+        },
+    };
+};
@@ -2,6 +2,9 @@ import Apify from 'apify';
 
 import { load } from 'cheerio';
 import * as fns from './fns.js';
+import { exportFeeds } from './feeds.js';
+import { createAlerter } from './alerts.js';
+import { createPriceHistory } from './history.js';
 
 const { log } = Apify.utils;
 
@@ -18,27 +21,263 @@ export const entry = async () => {
         debugLog = false,
         fetchHtml = false,
         checkForBanner = true,
+        respectRobotsTxt = false,
+        classifyOnly = false,
+        presentmentCurrency,
+        countryCode,
+        changesOnly = false,
+        stateStoreName = 'shopify-scraper-state',
+        discoveryMode = 'sitemap',
+        scrapeCollections = false,
+        collectionHandles = [],
+        storeProfiles = false,
+        storesDatasetName,
+        domainSettings = {},
+        outputGranularity = 'variant',
+        feedFormats = [],
+        feedFieldMapping = {},
+        feedMaxItems = 50000,
+        fetchMedia = false,
+        storefrontAccessToken,
+        storefrontMetafields = [],
+        locales = [],
+        modifiedSince,
+        modifiedSinceLastRun = false,
+        recordResponses,
+        replayFrom,
+        alertRules = [],
+        alertWebhookUrl,
+        alertBatchSize = 100,
+        priceHistory = false,
+        priceHistoryDatasetName = 'shopify-price-history',
+        failedDatasetName = 'shopify-scraper-failed',
+        optionSynonyms = {},
     } = input;
 
     if (debugLog) {
         log.setLevel(log.LEVELS.DEBUG);
     }
 
-    const proxyConfiguration = await fns.proxyConfiguration({
-        proxyConfig,
-    });
+    if (modifiedSince && Number.isNaN(Date.parse(modifiedSince))) {
+        throw new Error(`Invalid "modifiedSince" date ${modifiedSince}`);
+    }
+
+    // the replay never touches the network
+    const proxyConfiguration = replayFrom
+        ? undefined
+        : await fns.proxyConfiguration({
+            proxyConfig,
+        });
+
+    const httpArchive = (recordResponses || replayFrom)
+        ? await fns.createHttpArchive({ recordTo: recordResponses, replayFrom })
+        : null;
+
+    fns.useHttpArchive(httpArchive);
+
+    if (httpArchive) {
+        log.info(`${httpArchive.isReplay ? 'Replaying the responses from' : 'Recording the responses to'} ${replayFrom || recordResponses}`);
+    }
 
     if (!startUrls?.length) {
         throw new Error('Missing "startUrls" input');
     }
 
+    if (classifyOnly) {
+        await fns.classifyStores({
+            startUrls,
+            proxyConfiguration,
+            maxConcurrency,
+            output: async (result) => {
+                await Apify.pushData(result);
+            },
+        });
+
+        return;
+    }
+
+    // needs to happen before the startUrls are consumed by the request list
+    const limiterSettings = fns.domainSettingsFromInput({ startUrls, domainSettings });
+    const limiter = fns.createDomainLimiter({
+        settings: limiterSettings,
+    });
+
     /**
      * @type {Set<string>}
      */
     const filteredSitemapUrls = new Set(await Apify.getValue('FILTERED') || []);
 
+    /**
+     * Stores that are discovered through the paginated /products.json
+     *
+     * @type {Set<string>}
+     */
+    const productsJsonOrigins = new Set(await Apify.getValue('PRODUCTS_JSON') || []);
+
+    /**
+     * Stores that are discovered through the Storefront API, with their access token
+     *
+     * @type {Map<string, string>}
+     */
+    const storefrontOrigins = new Map(Object.entries(await Apify.getValue('STOREFRONT_API') || {}));
+
+    /**
+     * Stores that are limited to some collection handles
+     *
+     * @type {Map<string, string[]>}
+     */
+    const restrictedCollections = new Map(Object.entries(await Apify.getValue('RESTRICTED_COLLECTIONS') || {}));
+
+    /**
+     * Product urls from the start urls and from the collections that the stores are limited to
+     *
+     * @type {Set<string>}
+     */
+    const productUrls = new Set(await Apify.getValue('PRODUCT_URLS') || []);
+
+    /**
+     * Search urls from the start urls
+     *
+     * @type {Set<string>}
+     */
+    const searchUrls = new Set(await Apify.getValue('SEARCH_URLS') || []);
+
+    /**
+     * Collections of each product id
+     *
+     * @type {Map<string, Array<{ handle: string, title: string }>>}
+     */
+    const memberships = new Map(Object.entries(await Apify.getValue('COLLECTIONS') || {}));
+
+    /**
+     * Information about the store, like currency, keyed by hostname
+     *
+     * @type {Map<string, Record<string, any>>}
+     */
+    const domains = new Map(Object.entries(await Apify.getValue('DOMAINS') || {}));
+
+    /**
+     * Products that were already output, by store and product id
+     *
+     * @type {Set<string>}
+     */
+    const emitted = new Set(await Apify.getValue('EMITTED') || []);
+
+    /**
+     * Outcome of each start url, with the reason when it was skipped
+     *
+     * @type {Map<string, Record<string, any>>}
+     */
+    const outcomes = new Map(Object.entries(await Apify.getValue('START_URLS') || {}));
+
+    const restoredProductsCount = await Apify.getValue('PRODUCTS_COUNT');
+
+    /**
+     * Amount of products discovered, /products.json and Storefront API
+     * pages count towards the same limit as the sitemaps. Counted once the
+     * sitemaps are parsed, or restored after a migration
+     */
+    let productsCount = 0;
+    let isCountingProducts = false;
+
+    const market = {
+        currency: presentmentCurrency || undefined,
+        country: countryCode || undefined,
+    };
+
+    const stateStore = (changesOnly || modifiedSinceLastRun || alertRules?.length || priceHistory)
+        ? await Apify.openKeyValueStore(stateStoreName)
+        : null;
+
+    /**
+     * When the products of each store were last scraped in full
+     *
+     * @type {Record<string, string>}
+     */
+    const lastRuns = modifiedSinceLastRun
+        ? await stateStore?.getValue('LAST_RUN') ?? {}
+        : {};
+
+    // the start of the first attempt, so a migration doesn't skip the products modified meanwhile
+    const startedAt = new Date(await Apify.getValue('STARTED_AT') ?? Date.now());
+
+    const changeTracker = stateStore && (changesOnly || alertRules?.length)
+        ? await fns.createChangeTracker({
+            stateStore,
+            current: await Apify.getValue('CHANGES') || {},
+        })
+        : null;
+
+    const history = stateStore && priceHistory
+        ? await createPriceHistory({
+            datasetName: priceHistoryDatasetName,
+            stateStore,
+            current: await Apify.getValue('PRICE_HISTORY') || {},
+        })
+        : null;
+
+    const alerter = alertRules?.length
+        ? createAlerter({
+            rules: alertRules,
+            // the replay never touches the network
+            webhookUrl: httpArchive?.isReplay ? undefined : alertWebhookUrl,
+            batchSize: +alertBatchSize || 100,
+            current: await Apify.getValue('ALERTER') || {},
+        })
+        : null;
+
+    const progress = fns.createProgress({
+        stats: await Apify.getValue('STATS'),
+    });
+
+    const failures = await fns.createFailureRecorder({
+        datasetName: failedDatasetName,
+        counts: await Apify.getValue('FAILURES') || {},
+        startedAt,
+    });
+
+    /**
+     * @param {Parameters<typeof failures.add>[0]} failure
+     */
+    const recordFailure = async (failure) => {
+        progress.add(failure.url, 'failed');
+
+        return failures.add(failure);
+    };
+
     const persistState = async () => {
         await Apify.setValue('FILTERED', [...filteredSitemapUrls.values()]);
+        await Apify.setValue('PRODUCTS_JSON', [...productsJsonOrigins.values()]);
+        await Apify.setValue('STOREFRONT_API', Object.fromEntries(storefrontOrigins));
+        await Apify.setValue('RESTRICTED_COLLECTIONS', Object.fromEntries(restrictedCollections));
+        await Apify.setValue('COLLECTIONS', Object.fromEntries(memberships));
+        await Apify.setValue('PRODUCT_URLS', [...productUrls.values()]);
+        await Apify.setValue('SEARCH_URLS', [...searchUrls.values()]);
+        await Apify.setValue('DOMAINS', Object.fromEntries(domains));
+        await Apify.setValue('START_URLS', Object.fromEntries(outcomes));
+        await Apify.setValue('STARTED_AT', startedAt.toISOString());
+        await Apify.setValue('EMITTED', [...emitted.values()]);
+        await Apify.setValue('FAILURES', failures.counts());
+
+        if (isCountingProducts) {
+            await Apify.setValue('PRODUCTS_COUNT', productsCount);
+        }
+
+        await progress.save();
+
+        if (changeTracker) {
+            await Apify.setValue('CHANGES', changeTracker.current());
+        }
+
+        if (history) {
+            await Apify.setValue('PRICE_HISTORY', history.current());
+        }
+
+        if (alerter) {
+            // the pending alerts don't survive the migration
+            await alerter.flush();
+            await Apify.setValue('ALERTER', alerter.current());
+        }
     };
 
     Apify.events.on('aborting', persistState);
@@ -48,54 +287,181 @@ export const entry = async () => {
         startUrls,
         proxyConfiguration,
         filteredSitemapUrls,
+        productsJsonOrigins,
+        storefrontOrigins,
+        storefrontAccessToken,
+        restrictedCollections,
+        productUrls,
+        searchUrls,
+        collectionHandles,
+        domains,
+        outcomes,
         checkForBanner,
+        respectRobotsTxt,
+        discoveryMode,
+        market,
     });
 
+    const skipped = [...outcomes.values()].filter(({ status }) => status === 'skipped');
+
+    for (const outcome of skipped) {
+        // the outcomes from before a migration were already recorded
+        if (!outcome.cause) {
+            outcome.cause = await recordFailure({
+                url: outcome.url,
+                label: 'START_URL',
+                error: outcome.reason,
+            });
+        }
+    }
+
+    await Apify.setValue('START_URLS', Object.fromEntries(outcomes));
+
+    if (skipped.length) {
+        log.warning(`${skipped.length} of ${outcomes.size} start urls were skipped, the reasons are on the START_URLS record`);
+    }
+
+    if (respectRobotsTxt) {
+        for (const [hostname, { robots }] of domains) {
+            const key = fns.normalizeHostname(hostname);
+            const settings = limiterSettings.get(key) ?? {};
+
+            if (robots?.crawl_delay > 0) {
+                limiterSettings.set(key, {
+                    ...settings,
+                    minDelayMillis: Math.max(settings.minDelayMillis ?? 0, robots.crawl_delay * 1000),
+                });
+            }
+        }
+    }
+
+    if (locales?.length) {
+        for (const info of new Map([...domains.values()].map((value) => [value.origin, value])).values()) {
+            if (!info.locales) {
+                info.locales = await fns.storeLocales({ origin: info.origin, wanted: locales, proxyConfiguration });
+
+                log.info(`Store ${info.origin} locales`, { locales: info.locales.map(({ locale }) => locale) });
+            }
+        }
+    }
+
+    if (storeProfiles && !(await Apify.getValue('STORES'))) {
+        const storesDataset = storesDatasetName ? await Apify.openDataset(storesDatasetName) : null;
+        /** @type {Record<string, any>} */
+        const profiles = {};
+
+        for (const info of new Map([...domains.values()].map((value) => [value.origin, value])).values()) {
+            const profile = await fns.getStoreProfile({ info, proxyConfiguration });
+
+            profiles[profile.domain] = profile;
+
+            await storesDataset?.pushData(profile);
+        }
+
+        await Apify.setValue('STORES', profiles);
+    }
+
+    const optionName = fns.createOptionNameMapper(optionSynonyms);
+
     const extendOutputFunction = await fns.extendFunction({
         key: 'extendOutputFunction',
-        map: async ({ product, url, images, imagesWithoutVariants }) => {
+        map: async ({ product, url, images, imagesWithoutVariants, store, structuredData, media, variantImages, localized, sitemap, alternateUrls }) => {
             if (!product) {
                 return;
             }
 
+            /** @type {import('./fns.js').StoreLocale[]} */
+            const storeLocales = store?.locales ?? [];
+            /** @param {import('./fns.js').StoreLocale} locale */
+            const localeProduct = (locale) => (fns.isDefaultLocale(locale, store.origin) ? product : localized[locale.locale]);
+            // the locales of the same country share the market, preferring the default locale
+            /** @type {Map<string, import('./fns.js').StoreLocale>} */
+            const marketLocales = new Map();
+
+            for (const locale of [...storeLocales].sort((a, b) => +!fns.isDefaultLocale(a, store.origin) - +!fns.isDefaultLocale(b, store.origin))) {
+                if (locale.country && !marketLocales.has(locale.country)) {
+                    marketLocales.set(locale.country, locale);
+                }
+            }
+
+            /** @param {Record<string, any>} variant */
+            const availabilityOf = (variant) => {
+                const stock_count = fns.coalesceProps([variant], ['inventoryQuantity', 'quantityAvailable', 'inventory_quantity']);
+                const availableForSale = fns.coalesceProps([variant], ['availableForSale', 'available_for_sale', 'available']);
+
+                // eslint-disable-next-line no-nested-ternary
+                return +stock_count
+                    ? (stock_count > 0 ? 'in stock' : 'out of stock')
+                    : availableForSale ? 'in stock' : 'out of stock';
+            };
+
             const created_at = fns.coalesceProps([product], ['created_at', 'createdAt']);
             const updated_at = fns.coalesceProps([product], ['updated_at', 'updatedAt']);
             const published_at = fns.coalesceProps([product], ['published_at', 'publishedAt']);
             const product_type = fns.coalesceProps([product], ['product_type', 'productType']);
+            const collections = hasCollections
+                ? (memberships.get(`${fns.removeGuid(product.id)}`) ?? [])
+                : null;
+            const prices = product.variants.map((variant) => fns.getVariantPrice(variant, store?.currency, market.currency));
+            const priceRange = fns.getRange(prices.map(({ price }) => price));
+            const compareAtPriceRange = fns.getRange(prices.map(({ compare_at_price }) => compare_at_price));
 
-            return product.variants.map((variant) => {
-                const { name, props } = fns.getVariantAttributes(variant, product);
+            const items = product.variants.map((variant, index) => {
+                const { name, props } = fns.getVariantAttributes(variant, product, optionName);
+                const size = fns.normalizeSize(props.size);
                 const description = fns.coalesceProps([product], ['body_html', 'descriptionHtml', 'description']);
-                const stock_count = fns.coalesceProps([variant], ['inventoryQuantity', 'inventory_quantity']);
-                const availableForSale = fns.coalesceProps([variant], ['availableForSale', 'available_for_sale']);
+                const stock_count = fns.coalesceProps([variant], ['inventoryQuantity', 'quantityAvailable', 'inventory_quantity']);
                 const weight_unit = fns.coalesceProps([variant], ['weight_unit', 'weightUnit']);
                 const requires_shipping = fns.coalesceProps([variant], ['requiresShipping', 'requires_shipping']);
                 const display_name = fns.coalesceProps([variant], ['displayName', 'display_name']);
+                const { price, compare_at_price, currency } = prices[index];
+                const offer = structuredData
+                    ? fns.findVariantOffer(structuredData.structured_data.offers, variant, product.variants.length)
+                    : undefined;
 
                 return {
                     url,
+                    alternate_urls: alternateUrls,
                     color: props.color ?? null,
                     size: props.size ?? null,
+                    size_normalized: size.size,
+                    size_system: size.system,
                     material: props.material ?? null,
+                    is_default_variant: fns.isDefaultVariant(variant, product),
                     display_name: display_name ?? null,
                     title: product.title,
                     id: `${fns.removeGuid(product.id)}`,
                     description: (description && fns.stripHtml(description)?.result) || null,
+                    body_html: description || null,
                     sku: `${variant.sku || fns.removeGuid(variant.id)}`,
-                    // eslint-disable-next-line no-nested-ternary
-                    availability: +stock_count
-                        ? (stock_count > 0 ? 'in stock' : 'out of stock')
-                        : availableForSale ? 'in stock' : 'out of stock',
-                    price: +variant.price || null,
-                    currency: 'USD',
+                    availability: availabilityOf(variant),
+                    price,
+                    compare_at_price,
+                    ...fns.getDiscount(price, compare_at_price),
+                    price_min: priceRange.min,
+                    price_max: priceRange.max,
+                    compare_at_price_min: compareAtPriceRange.min,
+                    compare_at_price_max: compareAtPriceRange.max,
+                    currency: currency ?? offer?.currency ?? null,
+                    base_currency: store?.currency?.base ?? null,
+                    presentment_currency: store?.currency?.presentment ?? null,
                     product_type,
+                    collections,
                     images_urls: fns.uniqueNonEmptyArray([
                         images.get(variant.image_id)?.src,
+                        variantImages[`${fns.removeGuid(variant.id)}`],
                         imagesWithoutVariants,
                         product.image?.src,
                     ].flat().filter((s) => s).map(fns.removeUrlQueryString)),
-                    brand: product.vendor,
-                    video_urls: [],
+                    brand: product.vendor || structuredData?.structured_data.brand || null,
+                    video_urls: fns.uniqueNonEmptyArray(media
+                        .filter(({ type }) => ['video', 'external_video'].includes(type))
+                        .map(({ url: videoUrl }) => videoUrl)),
+                    ...(sitemap ? {
+                        sitemap_lastmod: sitemap.lastmod,
+                        sitemap_images: sitemap.images,
+                    } : {}),
+                    media,
                     created_at: fns.safeIsoDate(props.created_at ?? created_at),
                     updated_at: fns.safeIsoDate(props.updated_at ?? updated_at),
                     published_at: fns.safeIsoDate(props.published_at ?? published_at),
@@ -103,12 +469,18 @@ export const entry = async () => {
                         variant_attributes: name,
                         variant_title: variant.title,
                         scraped_at: new Date(),
-                        barcode: variant.barcode || null,
+                        barcode: variant.barcode || offer?.gtin || null,
                         taxcode: variant.taxcode || null,
                         stock_count: stock_count ?? null,
                         tags: fns.uniqueNonEmptyArray(Array.isArray(product.tags) ? product.tags : (product.tags ?? '').split(/,\s*/g)),
                         weight: variant.weight ? `${variant.weight} ${weight_unit}` : null,
                         requires_shipping: requires_shipping || null,
+                        // only available from the Storefront API
+                        ...(product.selling_plan_groups ? {
+                            metafields: product.metafields,
+                            selling_plan_groups: product.selling_plan_groups,
+                            selling_plans: variant.selling_plans,
+                        } : {}),
                         ...Object.entries(props)
                             .filter(([prop]) => ![
                                 'color',
@@ -120,10 +492,76 @@ export const entry = async () => {
                             ].includes(prop))
                             .reduce((out, [prop, value]) => ({ ...out, [prop]: value }), {}),
                     },
+                    ...(storeLocales.length ? {
+                        translations: Object.fromEntries(storeLocales.map((locale) => {
+                            const translated = localeProduct(locale);
+                            const translatedDescription = translated && fns.coalesceProps([translated], ['body_html', 'description']);
+
+                            return [locale.locale, translated ? {
+                                title: translated.title,
+                                description: (translatedDescription && fns.stripHtml(translatedDescription)?.result) || null,
+                                url: fns.localeProductUrl(locale, product.handle),
+                            } : null];
+                        })),
+                        markets: Object.fromEntries([...marketLocales.values()].map((locale) => {
+                            const marketVariant = localeProduct(locale)?.variants
+                                ?.find((/** @type {any} */ { id }) => fns.removeGuid(id) === fns.removeGuid(variant.id));
+
+                            if (!marketVariant) {
+                                return [locale.country, null];
+                            }
+
+                            const marketPrice = fns.getVariantPrice(
+                                marketVariant,
+                                { base: locale.currency, presentment: locale.currency },
+                                locale.currency ?? undefined,
+                            );
+
+                            return [locale.country, {
+                                price: marketPrice.price,
+                                compare_at_price: marketPrice.compare_at_price,
+                                currency: locale.prefix ? marketPrice.currency : currency,
+                                availability: availabilityOf(marketVariant),
+                            }];
+                        })),
+                    } : {}),
+                    ...(structuredData ? {
+                        seo: structuredData.seo,
+                        structured_data: {
+                            ...structuredData.structured_data,
+                            offer: offer ?? null,
+                        },
+                    } : {}),
                 };
             });
+
+            if (outputGranularity === 'product') {
+                return fns.toProductItem(items, product);
+            }
+
+            return items;
         },
-        output: async (data) => {
+        output: async (data, { item }) => {
+            await history?.add(item);
+
+            if (changeTracker) {
+                const change = await changeTracker.diff(item);
+
+                // on the first run every product is new
+                if (change && alerter && await changeTracker.hasSnapshot(item.url)) {
+                    await alerter.check(item, change);
+                }
+
+                if (changesOnly) {
+                    if (!change) {
+                        return;
+                    }
+
+                    await Apify.pushData({ ...data, change });
+                    return;
+                }
+            }
+
             await Apify.pushData(data);
         },
         input,
@@ -141,6 +579,7 @@ export const entry = async () => {
     });
 
     const requestQueue = await Apify.openRequestQueue();
+    const limit = +maxRequestsPerCrawl || 0;
 
     await extendScraperFunction(undefined, {
         proxyConfiguration,
@@ -149,11 +588,147 @@ export const entry = async () => {
         label: 'SETUP',
     });
 
+    /**
+     * Each product is fetched in these steps, in order, carrying the
+     * data of the previous steps in the userData until the JSON step
+     */
+    const productSteps = [
+        fetchHtml && 'HTML',
+        fetchMedia && 'MEDIA',
+        'JSON',
+    ].filter((s) => s);
+
+    /**
+     * @param {string} url The product url
+     * @param {string} label
+     * @param {Record<string, any>} [userData]
+     * @returns {Apify.RequestOptions}
+     */
+    const productStepRequest = (url, label, userData = {}) => {
+        /** @type {Record<string, string>} */
+        const suffixes = {
+            HTML: '',
+            MEDIA: '.js',
+            JSON: '.json',
+        };
+
+        return {
+            url: fns.withMarket(`${url}${suffixes[label]}`, market),
+            userData: {
+                ...userData,
+                url,
+                label,
+            },
+        };
+    };
+
+    /**
+     * Let the user filter the product urls, no matter where they were discovered
+     *
+     * @param {string} url
+     */
+    const filterProductUrl = async (url) => {
+        if (respectRobotsTxt && !fns.isAllowedByRobots(domains.get(new URL(url).hostname)?.robots, url)) {
+            log.debug(`Disallowed by the robots.txt ${url}`);
+            return false;
+        }
+
+        /** @type {boolean} */
+        let filtered = true;
+
+        /** @param {boolean} result */
+        const filter = (result) => {
+            filtered = filtered && result;
+        };
+
+        await extendScraperFunction(undefined, {
+            url,
+            filter,
+            isSitemap: false,
+            isProduct: true,
+            label: 'FILTER_SITEMAP_URL',
+        });
+
+        return filtered;
+    };
+
+    /**
+     * @param {string} url
+     * @param {import('./fns.js').SitemapEntry} [sitemap]
+     * @returns {Apify.RequestOptions}
+     */
+    const mapProductUrl = (url, sitemap) => productStepRequest(
+        fns.canonicalProductUrl(url),
+        productSteps[0],
+        sitemap ? { sitemap } : {},
+    );
+
+    const hasCollections = scrapeCollections || restrictedCollections.size > 0;
+
+    if (hasCollections && !await Apify.getValue('COLLECTIONS_DONE')) {
+        await fns.collectionsFromStores({
+            proxyConfiguration,
+            limiter,
+            maxConcurrency,
+            memberships,
+            productUrls,
+            stores: [...new Set([...domains.values()].map(({ origin }) => origin))]
+                .filter((origin) => scrapeCollections || restrictedCollections.has(origin))
+                .map((origin) => ({
+                    origin,
+                    handles: restrictedCollections.get(origin) ?? [],
+                })),
+            filter: async ({ url, handle, title }) => {
+                /** @type {boolean} */
+                let filtered = true;
+
+                /** @param {boolean} result */
+                const filter = (result) => {
+                    filtered = filtered && result;
+                };
+
+                await extendScraperFunction(undefined, {
+                    url,
+                    handle,
+                    title,
+                    filter,
+                    label: 'FILTER_COLLECTION',
+                });
+
+                return filtered;
+            },
+        });
+
+        // saved with the memberships and the product urls, so a resume doesn't walk them again
+        await persistState();
+        await Apify.setValue('COLLECTIONS_DONE', true);
+    }
+
+    progress.start();
+
     const requestList = await fns.requestListFromSitemaps({
         proxyConfiguration,
         requestQueue,
         maxConcurrency,
-        limit: +maxRequestsPerCrawl,
+        limit,
+        limiter,
+        progress,
+        onFailed: async (request, error) => {
+            await recordFailure({
+                url: request.url,
+                label: 'SITEMAP',
+                error: error.message,
+                retryCount: request.retryCount,
+            });
+        },
+        modifiedSince: (url) => {
+            const dates = [
+                modifiedSince,
+                lastRuns[fns.normalizeHostname(url)],
+            ].filter((date) => date).map((date) => new Date(date));
+
+            return dates.length ? new Date(Math.max(...dates.map((date) => +date))) : null;
+        },
         filter: async (url) => {
             const isProduct = /\/products\//.test(url);
             const isSitemap = /sitemap_products_\d+/.test(url);
@@ -166,41 +741,242 @@ export const entry = async () => {
                 return false;
             }
 
-            /** @type {boolean} */
-            let filtered = isProduct;
+            return filterProductUrl(url);
+        },
+        map: mapProductUrl,
+        sitemapUrls: [...filteredSitemapUrls.values()],
+    });
 
-            /** @param {boolean} result */
-            const filter = (result) => {
-                filtered = filtered && result;
-            };
+    await progress.save();
 
-            await extendScraperFunction(undefined, {
+    // the sitemap crawler shares the same request queue, so add them only after it finishes
+    for (const url of productUrls) {
+        if (await filterProductUrl(url)) {
+            await requestQueue.addRequest(mapProductUrl(url));
+        }
+    }
+
+    for (const url of searchUrls) {
+        await requestQueue.addRequest({
+            url: fns.searchUrl(url, 1, market),
+            userData: {
+                label: 'SEARCH',
+                searchUrl: url,
+                page: 1,
+            },
+        });
+    }
+
+    for (const origin of productsJsonOrigins) {
+        await requestQueue.addRequest({
+            url: fns.productsJsonUrl(origin, 1, market),
+            userData: {
+                label: 'PRODUCTS_JSON',
+                origin,
+                page: 1,
+            },
+        });
+    }
+
+    for (const [origin, token] of storefrontOrigins) {
+        await requestQueue.addRequest(fns.storefrontRequest({
+            origin,
+            token,
+            metafields: storefrontMetafields,
+            market,
+        }));
+    }
+
+    // the restored count already includes the products of the sitemaps
+    productsCount = typeof restoredProductsCount === 'number' ? restoredProductsCount : requestList.length();
+    isCountingProducts = true;
+
+    /**
+     * Chains the request of the product in the next locale of the store,
+     * null when all the locales were fetched
+     *
+     * @param {{
+     *   url: string,
+     *   product: Record<string, any>,
+     *   userData: Record<string, any>,
+     * }} params
+     * @returns {Apify.RequestOptions | null}
+     */
+    const nextLocaleRequest = ({ url, product, userData }) => {
+        /** @type {Record<string, any>} */
+        const localized = userData.localized ?? {};
+        const store = domains.get(new URL(url).hostname);
+        /** @type {import('./fns.js').StoreLocale[]} */
+        const storeLocales = store?.locales ?? [];
+        // the default locale is the product itself
+        const locale = storeLocales.find((storeLocale) => !fns.isDefaultLocale(storeLocale, store?.origin ?? url)
+            && !(storeLocale.locale in localized));
+
+        if (!locale) {
+            return null;
+        }
+
+        return {
+            url: fns.localeProductUrl(locale, product.handle, '.json'),
+            userData: {
+                ...userData,
+                label: 'LOCALE',
                 url,
-                filter,
-                isSitemap,
-                isProduct,
-                label: 'FILTER_SITEMAP_URL',
-            });
+                locale: locale.locale,
+                product,
+                localized,
+            },
+        };
+    };
 
-            return filtered;
-        },
-        map: (url) => {
-            return {
-                url: fetchHtml ? url : `${url}.json`,
-                userData: {
-                    url,
-                    label: fetchHtml
-                        ? 'HTML'
-                        : 'JSON',
-                },
-            };
-        },
-        sitemapUrls: [...filteredSitemapUrls.values()],
-    });
+    /**
+     * @param {{
+     *   product: Record<string, any>,
+     *   url: string,
+     *   context: Apify.CheerioHandlePageInputs,
+     *   localized?: Record<string, any>,
+     *   userData?: Record<string, any>,
+     * }} params
+     */
+    const processProduct = async ({ product, url: requestedUrl, context, localized = {}, userData = context.request.userData }) => {
+        // old handles redirect to the current one
+        const url = product.handle
+            ? fns.canonicalProductUrl(new URL(`/products/${product.handle}`, requestedUrl).toString())
+            : requestedUrl;
+        const key = `${fns.normalizeHostname(url)}|${fns.removeGuid(product.id)}`;
+
+        if (emitted.has(key)) {
+            log.debug(`Skipping the duplicate product ${requestedUrl}`, { url });
+            return;
+        }
+
+        emitted.add(key);
+        progress.add(url, 'products_scraped');
+        progress.add(url, 'variants_scraped', product.variants?.length ?? 0);
+
+        /** @type {string[]} */
+        const alternateUrls = fns.uniqueNonEmptyArray([
+            ...(userData.alternateUrls ?? []),
+            requestedUrl,
+        ]).filter((alternateUrl) => alternateUrl !== url);
+
+        context.$ = userData.body
+            ? load(userData.body, { decodeEntities: true })
+            : context.$;
+
+        const store = domains.get(new URL(url).hostname);
+        const variants = fns.mapIdsFromArray(product.variants);
+        const images = fns.mapIdsFromArray([...(product.images ?? []), product.image]);
+        const media = userData.media ?? fns.normalizeMedia(product.media);
+        /** @type {Record<string, string>} */
+        const variantImages = userData.variantImages ?? fns.variantMediaImages(product.variants);
+        const variantImageUrls = Object.values(variantImages);
+        /** @type {string[]} */
+        const imagesWithoutVariants = (product.images?.length
+            ? product.images
+                .filter(({ variant_ids, src }) => (src && !(variant_ids?.length)))
+                .map(({ src }) => src)
+            : media
+                .filter(({ type, url: src }) => type === 'image' && src && !variantImageUrls.includes(src))
+                .map(({ url: src }) => src));
+        const structuredData = userData.body
+            ? fns.extractStructuredData(context.$)
+            : undefined;
+
+        await extendOutputFunction({
+            product,
+            variants,
+            url,
+            images,
+            imagesWithoutVariants,
+            store,
+            structuredData,
+            media,
+            variantImages,
+            localized,
+            sitemap: userData.sitemap,
+            alternateUrls,
+        }, { context });
+    };
+
+    /**
+     * Chains the next step of the product, then its locales, and processes it
+     * after the last one. The products that are listed in bulk already carry
+     * the product on the userData, so they skip the JSON step
+     *
+     * @param {{
+     *   label?: string,
+     *   userData: Record<string, any>,
+     *   context: Apify.CheerioHandlePageInputs,
+     * }} params
+     */
+    const nextProductStep = async ({ label, userData, context }) => {
+        const step = productSteps[label ? productSteps.indexOf(label) + 1 : 0];
+        const { url, product } = userData;
+
+        if (step && !(step === 'JSON' && product)) {
+            await requestQueue.addRequest(productStepRequest(url, step, userData), { forefront: !!label });
+            return;
+        }
+
+        const next = nextLocaleRequest({ url, product, userData });
+
+        if (next) {
+            await requestQueue.addRequest(next, { forefront: true });
+            return;
+        }
+
+        await processProduct({ product, url, context, userData });
+    };
+
+    /**
+     * Process the products that are listed in bulk, returns false when the limit is reached
+     *
+     * @param {{
+     *   products: Array<Record<string, any>>,
+     *   origin: string,
+     *   context: Apify.CheerioHandlePageInputs,
+     * }} params
+     */
+    const processListedProducts = async ({ products, origin, context }) => {
+        for (const product of products) {
+            if (limit > 0 && productsCount >= limit) {
+                return false;
+            }
+
+            const url = new URL(`/products/${product.handle}`, origin).toString();
+
+            if (await filterProductUrl(url) && limiter.allowItem(url)) {
+                productsCount++;
+
+                await nextProductStep({ userData: { url, product }, context });
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Stores whose Storefront API errors were already logged
+     *
+     * @type {Set<string>}
+     */
+    const storefrontErrors = new Set();
+
+    /**
+     * Stores behind a password or a challenge, with the reason
+     *
+     * @type {Map<string, string>}
+     */
+    const lockedStores = new Map();
 
-    await Apify.setValue('STATS', { count: requestList.length() });
+    // extra requests of each product
+    const localeSteps = Math.max(0, ...[...domains.values()].map((info) => (info.locales ?? [])
+        .filter((locale) => !fns.isDefaultLocale(locale, info.origin)).length));
 
-    const crawler = new Apify.CheerioCrawler({
+    const Crawler = httpArchive?.isReplay ? fns.ReplayCheerioCrawler : Apify.CheerioCrawler;
+
+    const crawler = new Crawler({
         requestList,
         proxyConfiguration,
         requestQueue,
@@ -208,17 +984,24 @@ export const entry = async () => {
         maxConcurrency,
         handlePageTimeoutSecs: 60,
         ignoreSslErrors: true,
-        sessionPoolOptions: {
-            sessionOptions: {
-                maxErrorScore: 0.5,
-            },
-        },
+        additionalMimeTypes: ['application/javascript', 'text/javascript'],
         maxRequestRetries,
         maxRequestsPerCrawl: +maxRequestsPerCrawl > 0
-            ? (+maxRequestsPerCrawl * (fetchHtml ? 2 : 1)) + await requestQueue.handledCount() // reusing the same request queue
+            ? (+maxRequestsPerCrawl * (productSteps.length + localeSteps)) + await requestQueue.handledCount() // reusing the same request queue
             : undefined,
         persistCookiesPerSession: false,
         preNavigationHooks: [async (crawlingContext, requestAsBrowserOptions) => {
+            const lockedReason = lockedStores.get(fns.normalizeHostname(crawlingContext.request.url));
+
+            if (lockedReason) {
+                crawlingContext.request.noRetry = true;
+                throw new Error(lockedReason);
+            }
+
+            if (!await limiter.acquire(crawlingContext.request.url, `${crawlingContext.request.id}`)) {
+                fns.throwWaitingForSlot(crawlingContext.request);
+            }
+
             await extendScraperFunction(undefined, {
                 label: 'PRENAVIGATION',
                 crawlingContext,
@@ -226,6 +1009,57 @@ export const entry = async () => {
             });
         }],
         postNavigationHooks: [async (crawlingContext) => {
+            const { request, response, session } = crawlingContext;
+
+            limiter.release(request.url, `${request.id}`);
+
+            /** @type {Buffer | undefined} */
+            let body;
+
+            // the challenge pages are told apart by their title, and the blocked and
+            // server error responses never reach the handlePageFunction, so they are read and recorded here
+            if ([401, 403, 429].includes(response.statusCode) || response.statusCode >= 500 || fns.detectBlock(response)) {
+                /** @type {Buffer[]} */
+                const chunks = [];
+
+                for await (const chunk of response) {
+                    chunks.push(Buffer.from(chunk));
+                }
+
+                body = Buffer.concat(chunks);
+
+                if (httpArchive && !httpArchive.isReplay) {
+                    await httpArchive.record({
+                        url: request.url,
+                        method: request.method,
+                        body: request.payload,
+                    }, {
+                        url: response.url,
+                        statusCode: response.statusCode,
+                        headers: response.headers,
+                        body,
+                    });
+                }
+            }
+
+            // before the crawler retires the session on every 401, 403 and 429
+            const block = fns.detectBlock({ statusCode: response.statusCode, headers: response.headers, url: response.url, body });
+
+            if (block) {
+                fns.throwOnBlock({
+                    block,
+                    request,
+                    session,
+                    headers: response.headers,
+                    statusCode: response.statusCode,
+                    limiter,
+                    canRotate: !!proxyConfiguration,
+                });
+            } else if (body) {
+                // the body was already read, so the crawler can't parse the error itself
+                throw new Error(`${response.statusCode} - Internal Server Error: ${`${body}`.slice(0, 100)}`);
+            }
+
             await extendScraperFunction(undefined, {
                 label: 'POSTNAVIGATION',
                 crawlingContext,
@@ -236,18 +1070,160 @@ export const entry = async () => {
 
             log.debug(`Scraping ${request.url}`);
 
+            // the crawler streams the responses, so they are recorded once they are read
+            await httpArchive?.record({
+                url: request.url,
+                method: request.method,
+                body: request.payload,
+            }, {
+                url: request.loadedUrl,
+                statusCode: response.statusCode,
+                headers: response.headers,
+                body: context.body,
+            });
+
+            // towards the recovery of a throttled store
+            limiter.success(request.url);
+
             if (request.userData.label === 'HTML') {
-                await requestQueue.addRequest({
-                    url: `${request.url}.json`,
+                await nextProductStep({
+                    label: 'HTML',
+                    userData: { ...request.userData, body: context.body },
+                    context,
+                });
+
+                return;
+            }
+
+            if (request.userData.label === 'MEDIA') {
+                // the .js endpoint might not be served as JSON
+                const productJs = json ?? fns.safeJsonParse(`${context.body}`);
+
+                await nextProductStep({
+                    label: 'MEDIA',
                     userData: {
-                        label: 'JSON',
-                        body: context.body,
+                        ...request.userData,
+                        media: fns.normalizeMedia(productJs?.media),
+                        variantImages: fns.variantMediaImages(productJs?.variants),
                     },
-                }, { forefront: true });
+                    context,
+                });
+
+                return;
+            }
+
+            if (request.userData.label === 'SEARCH') {
+                const { searchUrl, page } = request.userData;
+                const urls = fns.productUrlsFromHtml(context.$, request.url);
+
+                log.debug(`Found ${urls.length} products on page ${page} of ${searchUrl}`);
+
+                let added = 0;
+
+                for (const url of urls) {
+                    if (limit > 0 && productsCount >= limit) {
+                        return;
+                    }
+
+                    if (await filterProductUrl(url) && limiter.allowItem(url)) {
+                        const { wasAlreadyPresent } = await requestQueue.addRequest(mapProductUrl(url));
+
+                        if (!wasAlreadyPresent) {
+                            productsCount++;
+                            added++;
+                        }
+                    }
+                }
+
+                // stop when the page only repeats the products that were already found
+                if (added) {
+                    await requestQueue.addRequest({
+                        url: fns.searchUrl(searchUrl, page + 1, market),
+                        userData: {
+                            label: 'SEARCH',
+                            searchUrl,
+                            page: page + 1,
+                        },
+                    });
+                }
+
+                return;
+            }
+
+            if (request.userData.label === 'PRODUCTS_JSON') {
+                const { origin, page } = request.userData;
+                /** @type {Record<string, any>[]} */
+                const products = json?.products ?? [];
+
+                if (!Array.isArray(json?.products)) {
+                    throw new Error('Missing products prop');
+                }
+
+                log.debug(`Found ${products.length} products on page ${page} of ${origin}`);
+
+                if (await processListedProducts({ products, origin, context }) && products.length) {
+                    await requestQueue.addRequest({
+                        url: fns.productsJsonUrl(origin, page + 1, market),
+                        userData: {
+                            label: 'PRODUCTS_JSON',
+                            origin,
+                            page: page + 1,
+                        },
+                    });
+                }
 
                 return;
             }
 
+            if (request.userData.label === 'STOREFRONT_API') {
+                const { origin } = request.userData;
+
+                /** @type {string} */
+                const errors = (json?.errors ?? []).map((/** @type {any} */ { message }) => message).join(', ');
+
+                // the fields that the token can't access, like the inventory, come back as null
+                if (!json?.data?.products) {
+                    throw new Error(errors ? `Storefront API errors: ${errors}` : 'Missing products prop');
+                }
+
+                if (errors && !storefrontErrors.has(origin)) {
+                    storefrontErrors.add(origin);
+                    log.warning(`Storefront API errors on ${origin}, the fields are missing from the output: ${errors}`);
+                }
+
+                const { nodes, pageInfo } = json.data.products;
+                const products = nodes.map(fns.productFromStorefront);
+
+                log.debug(`Found ${products.length} products on ${origin} Storefront API`);
+
+                if (await processListedProducts({ products, origin, context }) && pageInfo?.hasNextPage) {
+                    await requestQueue.addRequest(fns.storefrontRequest({
+                        origin,
+                        token: `${storefrontOrigins.get(origin)}`,
+                        cursor: pageInfo.endCursor,
+                        metafields: storefrontMetafields,
+                        market,
+                    }));
+                }
+
+                return;
+            }
+
+            if (request.userData.label === 'LOCALE') {
+                const { url, locale, product } = request.userData;
+                // missing when the product isn't published on the market
+                const localized = { ...request.userData.localized, [locale]: json?.product ?? null };
+                const next = nextLocaleRequest({ url, product, userData: { ...request.userData, localized } });
+
+                if (next) {
+                    await requestQueue.addRequest(next, { forefront: true });
+                    return;
+                }
+
+                await processProduct({ product, url, context, localized });
+                return;
+            }
+
             if (!json?.product?.title) {
                 if (!json?.title) {
                     // this is the last resort
@@ -260,38 +1236,76 @@ export const entry = async () => {
                         throw new Error('Missing product prop or title');
                     }
 
+                    await recordFailure({
+                        url: request.url,
+                        label: request.userData.label,
+                        error: 'Product not found',
+                        statusCode: response.statusCode,
+                    });
+
                     return;
                 }
             }
 
             const product = json.product ?? json;
+            const url = request.userData.url ?? fns.removeUrlQueryString(request.url).replace(/\.json$/, '');
+            const next = nextLocaleRequest({ url, product, userData: request.userData });
 
-            context.$ = request.userData.body
-                ? load(request.userData.body, { decodeEntities: true })
-                : context.$;
-
-            const url = request.url.replace('.json', '');
-            const variants = fns.mapIdsFromArray(product.variants);
-            const images = fns.mapIdsFromArray([...product.images, product.image]);
-            /** @type {string[]} */
-            const imagesWithoutVariants = (product.images ?? [])
-                .filter(({ variant_ids, src }) => (src && !(variant_ids?.length)))
-                .map(({ src }) => src);
+            if (next) {
+                await requestQueue.addRequest(next, { forefront: true });
+                return;
+            }
 
-            await extendOutputFunction({
-                product,
-                variants,
-                url,
-                images,
-                imagesWithoutVariants,
-            }, { context });
+            await processProduct({ product, url, context });
         },
-        handleFailedRequestFunction: async ({ request, error }) => {
-            log.exception(error, 'Failed all retries', { url: request.url });
+        handleFailedRequestFunction: async (context) => {
+            const { request, error } = context;
+            const domain = fns.normalizeHostname(request.url);
+            const cause = fns.failureCause({ message: error.message });
+            const isReported = ['password_protected', 'challenge'].includes(cause) && lockedStores.has(domain);
 
-            await Apify.pushData({
-                '#failed': Apify.utils.createRequestDebugInfo(request),
-            });
+            // reported once, the other requests of the store are skipped
+            if (isReported) {
+                log.debug(`Skipped ${request.url}, the store is locked`);
+            } else {
+                if (['password_protected', 'challenge'].includes(cause)) {
+                    lockedStores.set(domain, error.message);
+                    log.warning(`Skipping the remaining requests of ${domain}: ${error.message}`);
+                } else {
+                    log.exception(error, 'Failed all retries', { url: request.url });
+                }
+
+                await recordFailure({
+                    url: request.url,
+                    label: request.userData.label,
+                    error: error.message,
+                    retryCount: request.retryCount,
+                });
+            }
+
+            const { label, url, product, locale } = request.userData;
+
+            // the product was already fetched, so it's output without the failed locale, HTML or media
+            if (!product) {
+                return;
+            }
+
+            const handlePageContext = /** @type {Apify.CheerioHandlePageInputs} */(/** @type {unknown} */(context));
+
+            if (label === 'LOCALE') {
+                const localized = { ...request.userData.localized, [locale]: null };
+                const next = nextLocaleRequest({ url, product, userData: { ...request.userData, localized } });
+
+                if (next) {
+                    await requestQueue.addRequest(next, { forefront: true });
+                    return;
+                }
+
+                await processProduct({ product, url, context: handlePageContext, localized });
+                return;
+            }
+
+            await nextProductStep({ label, userData: request.userData, context: handlePageContext });
         },
     });
 
@@ -301,16 +1315,108 @@ export const entry = async () => {
         label: 'RUN',
     });
 
+    fns.patchNavigation(crawler, limiter);
+
     if (!debugLog) {
         fns.patchLog(crawler);
     }
 
     await crawler.run();
 
+    /**
+     * If the whole catalogue of the store was scraped without failures. The domain
+     * max items and the collections only scrape a part of it, like the lastmod
+     * filter unless `sinceLastRun` is set and it's not newer than the last run
+     *
+     * @param {string} hostname
+     * @param {{ sinceLastRun?: boolean, discoveries?: string[] }} [options]
+     */
+    const isCatalogueComplete = (hostname, { sinceLastRun = false, discoveries } = {}) => {
+        const origin = domains.get(hostname)?.origin;
+        const store = fns.normalizeHostname(hostname);
+        const lastRun = lastRuns[store];
+
+        if (!origin || +maxRequestsPerCrawl > 0 || lockedStores.has(store) || failures.counts()[store]) {
+            return false;
+        }
+
+        const isFiltered = sinceLastRun
+            ? !!modifiedSince && (!lastRun || Date.parse(modifiedSince) > Date.parse(lastRun))
+            : !!modifiedSince || !!lastRun;
+
+        return fns.isCatalogueComplete({
+            origin,
+            outcomes,
+            discoveries,
+            isLimited: isFiltered
+                || restrictedCollections.has(origin)
+                || (limiter.settings(origin).maxItems ?? 0) > 0,
+        });
+    };
+
+    if (changeTracker) {
+        const removed = await changeTracker.finish({
+            // removals are only reliable when the whole catalogue is scraped
+            reportRemoved: (hostname) => isCatalogueComplete(hostname),
+        });
+
+        log.info(`${removed.length} products were removed since the last run`);
+
+        if (removed.length && changesOnly) {
+            await Apify.pushData(removed);
+        }
+
+        if (alerter) {
+            for (const item of removed) {
+                await alerter.check(item, item.change);
+            }
+        }
+    }
+
+    if (history) {
+        log.info('Updated the price history summaries', { keys: await history.finish() });
+    }
+
+    if (modifiedSinceLastRun && stateStore) {
+        // only the stores whose sitemaps were walked in full, the next run relies on their lastmod
+        await stateStore.setValue('LAST_RUN', {
+            ...lastRuns,
+            ...Object.fromEntries([...domains.keys()]
+                .filter((hostname) => isCatalogueComplete(hostname, { sinceLastRun: true, discoveries: ['sitemap'] }))
+                .map((hostname) => [fns.normalizeHostname(hostname), startedAt.toISOString()])),
+        });
+    }
+
+    if (feedFormats?.length) {
+        await Apify.setValue('FEEDS', await exportFeeds({
+            dataset: await Apify.openDataset(),
+            formats: feedFormats,
+            fieldMapping: feedFieldMapping,
+            maxItems: +feedMaxItems || 50000,
+        }));
+    }
+
+    if (alerter) {
+        await alerter.flush();
+
+        const summary = alerter.summary();
+
+        log.info(`${summary.total} alerts matched the rules`, summary.by_rule);
+
+        await Apify.setValue('ALERTS', summary);
+    }
+
+    await Apify.setValue('REPORT', fns.runReport({
+        stats: progress.snapshot(),
+        failures: failures.counts(),
+        startedAt,
+    }));
+
     await extendScraperFunction(undefined, {
         crawler,
         label: 'FINISHED',
     });
 
+    await progress.stop();
     await persistState();
 };